@@ -0,0 +1,157 @@
+// ========================================
+// LANDED COST ENGINE
+// ========================================
+// Pure pricing arithmetic shared by the product page (loaded before
+// script.js) and the unit tests in tests/ (required from Node).
+
+/**
+ * Pricing rules mirrored from the n8n price-check workflow.
+ * The server figure is authoritative; these only drive instant estimates.
+ */
+const PRICING_RULES = {
+    VAT_RATE: 0.16,
+    PLATFORM_FEE_RATE: 0.03,
+    MARGIN_RATE: 0.10,
+    // KRA import duty by category (EAC Common External Tariff)
+    DUTY_RATES: {
+        bags: 0.35,
+        clothing: 0.35,
+        electronics: 0.25,
+        home: 0.25
+    },
+    DEFAULT_DUTY_RATE: 0.25,
+    // Flag estimates that differ from the server by more than 2%
+    RECONCILE_TOLERANCE: 0.02
+};
+
+/**
+ * Round to 2 decimal places (cents)
+ * @param {number} value - Amount
+ * @returns {number} Rounded amount
+ */
+function roundCurrency(value) {
+    return Math.round(value * 100) / 100;
+}
+
+/**
+ * Calculate per-unit landed cost in KES
+ *
+ * customs value = supplier cost + freight
+ * duty = customs value × duty rate
+ * VAT = (customs value + duty) × 16%
+ * platform fee = (customs value + duty + VAT) × fee rate
+ * margin = supplier cost × margin rate
+ *
+ * Worked example: 100 RMB at 18.5 KES/RMB, KES 150 freight, 25% duty,
+ * 3% fee, 10% margin → supplier 1850, freight 150, duty 500, VAT 400,
+ * fee 87, margin 185, landed price KES 3,172.
+ *
+ * @param {object} inputs - supplierCostRmb, rmbToKesRate, freightPerUnitKes or
+ *   freightPerCbmKes + cbmPerUnit, dutyRate, vatRate, platformFeeRate, marginRate
+ * @returns {object} Same keys as the price-check breakdown, plus final_price_kes
+ * @throws {Error} Without a usable FX rate
+ */
+function calculateLandedCost(inputs) {
+    if (!(inputs.rmbToKesRate > 0)) {
+        throw new Error('A positive RMB to KES rate is required');
+    }
+
+    const supplierCost = roundCurrency(inputs.supplierCostRmb * inputs.rmbToKesRate);
+
+    const freight = roundCurrency(inputs.freightPerUnitKes !== undefined
+        ? inputs.freightPerUnitKes
+        : inputs.freightPerCbmKes * inputs.cbmPerUnit);
+
+    const customsValue = supplierCost + freight;
+    const duty = roundCurrency(customsValue * inputs.dutyRate);
+    const vat = roundCurrency((customsValue + duty) * inputs.vatRate);
+    const platformFee = roundCurrency((customsValue + duty + vat) * inputs.platformFeeRate);
+    const margin = roundCurrency(supplierCost * inputs.marginRate);
+
+    const breakdown = {
+        supplier_cost_kes: supplierCost,
+        international_freight: freight,
+        kra_duty: duty,
+        vat: vat,
+        platform_fee: platformFee,
+        markup: margin
+    };
+
+    return {
+        breakdown: breakdown,
+        final_price_kes: roundCurrency(supplierCost + freight + duty + vat + platformFee + margin)
+    };
+}
+
+/**
+ * Build landed cost inputs from the product payload
+ * @param {object} product - Product object
+ * @param {number} quantity - Order quantity (selects supplier tier cost)
+ * @returns {object|null} Inputs, or null if the payload lacks cost data
+ */
+function getLandedCostInputs(product, quantity) {
+    if (!product || !product.supplier_cost_rmb || !product.rmb_to_kes_rate) {
+        return null;
+    }
+
+    // Supplier tiers may carry their own RMB cost
+    let supplierCostRmb = product.supplier_cost_rmb;
+    (product.price_tiers || []).forEach(tier => {
+        if (tier && tier.supplier_cost_rmb && quantity >= parseInt(tier.min_quantity)) {
+            supplierCostRmb = tier.supplier_cost_rmb;
+        }
+    });
+
+    const inputs = {
+        supplierCostRmb: supplierCostRmb,
+        rmbToKesRate: product.rmb_to_kes_rate,
+        dutyRate: product.duty_rate !== undefined
+            ? product.duty_rate
+            : (PRICING_RULES.DUTY_RATES[(product.category || '').toLowerCase()] ?? PRICING_RULES.DEFAULT_DUTY_RATE),
+        vatRate: PRICING_RULES.VAT_RATE,
+        platformFeeRate: product.platform_fee_rate ?? PRICING_RULES.PLATFORM_FEE_RATE,
+        marginRate: product.margin_rate ?? PRICING_RULES.MARGIN_RATE
+    };
+
+    if (product.freight_per_unit_kes !== undefined) {
+        inputs.freightPerUnitKes = product.freight_per_unit_kes;
+    } else if (product.freight_per_cbm_kes !== undefined && product.cbm_per_unit !== undefined) {
+        inputs.freightPerCbmKes = product.freight_per_cbm_kes;
+        inputs.cbmPerUnit = product.cbm_per_unit;
+    } else {
+        return null;
+    }
+
+    return inputs;
+}
+
+/**
+ * Estimate pricing in the same shape as fetchPricingCalculation()
+ * @param {object} product - Product object
+ * @param {number} quantity - Order quantity
+ * @returns {object|null} Estimated pricing, or null for an invalid quantity or missing cost data
+ */
+function estimateLandedCost(product, quantity) {
+    // Same rule as the price-check endpoint: nothing to price below one unit
+    if (!Number.isInteger(quantity) || quantity < 1) return null;
+
+    const inputs = getLandedCostInputs(product, quantity);
+    if (!inputs) return null;
+
+    const result = calculateLandedCost(inputs);
+    return {
+        ...result,
+        total_order_price: result.final_price_kes * quantity,
+        is_estimate: true
+    };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        PRICING_RULES,
+        roundCurrency,
+        calculateLandedCost,
+        getLandedCostInputs,
+        estimateLandedCost
+    };
+}
\ No newline at end of file
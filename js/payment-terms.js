@@ -0,0 +1,122 @@
+// ========================================
+// PAYMENT TERMS
+// ========================================
+// Pure payment-plan arithmetic shared by checkout (loaded before script.js)
+// and the unit tests in tests/ (required from Node).
+
+const PAYMENT_RULES = {
+    // Safaricom's per-transaction limit for STK pushes and Paybill
+    MPESA_MAX_TRANSACTION_KES: 250000,
+    // Matches the "30 Days" shown on product pages without terms
+    DEFAULT_CREDIT_TERM_DAYS: 30
+};
+
+/**
+ * Read the deposit percentage from supplier payment terms
+ * e.g. "30% deposit, balance before shipment" → 30
+ * @param {string} terms - Product payment terms
+ * @returns {number|null} Deposit percentage, or null if the terms ask for none
+ */
+function getDepositPercent(terms) {
+    const match = String(terms || '').match(/(\d{1,2}(?:\.\d+)?)\s*%\s*(?:deposit|advance|upfront|down)/i) ||
+        String(terms || '').match(/(?:deposit|advance)\D{0,12}(\d{1,2}(?:\.\d+)?)\s*%/i);
+    if (!match) return null;
+
+    const percent = parseFloat(match[1]);
+    return percent > 0 && percent < 100 ? percent : null;
+}
+
+/**
+ * Split an amount into M-Pesa pushes under the per-transaction limit
+ * @param {number} amount - Amount in KES
+ * @returns {array} Push amounts, as even as possible
+ */
+function splitMpesaAmount(amount) {
+    const count = Math.max(1, Math.ceil(amount / PAYMENT_RULES.MPESA_MAX_TRANSACTION_KES));
+    const base = Math.floor(amount / count);
+    const remainder = amount - base * count;
+    return Array.from({ length: count }, (_, index) => base + (index < remainder ? 1 : 0));
+}
+
+/**
+ * Read the credit period from supplier payment terms, e.g. "30 Days" or "Net 60"
+ * @param {string} terms - Product payment terms
+ * @returns {number|null} Days, or null if the terms give none
+ */
+function getCreditTermDays(terms) {
+    const match = String(terms || '').match(/(\d{1,3})\s*days?\b/i) ||
+        String(terms || '').match(/\bnet\s*(\d{1,3})\b/i);
+    return match ? parseInt(match[1], 10) : null;
+}
+
+/**
+ * Credit period for a cart: the shortest term among its lines
+ * @param {array} cart - Cart items
+ * @returns {number} Days until payment is due
+ */
+function getCartCreditTermDays(cart) {
+    const days = cart.map(item => getCreditTermDays(item.payment_terms) ?? PAYMENT_RULES.DEFAULT_CREDIT_TERM_DAYS);
+    return days.length > 0 ? Math.min(...days) : PAYMENT_RULES.DEFAULT_CREDIT_TERM_DAYS;
+}
+
+/**
+ * Work out what is paid now and how it is split
+ * @param {array} cart - Cart items
+ * @param {number} total - Order total in KES
+ * @param {string} type - 'full', 'deposit' or 'credit'
+ * @returns {object} Plan: type, order_total, due_now, balance, instalments
+ */
+function getPaymentPlan(cart, total, type) {
+    const orderTotal = Math.round(total);
+    let dueNow = orderTotal;
+
+    // On account: nothing now, everything by the due date
+    if (type === 'credit') {
+        const termDays = getCartCreditTermDays(cart);
+        const dueDate = new Date();
+        dueDate.setDate(dueDate.getDate() + termDays);
+        return {
+            type: type,
+            order_total: orderTotal,
+            due_now: 0,
+            balance: orderTotal,
+            instalments: [],
+            term_days: termDays,
+            due_date: dueDate.toISOString().slice(0, 10)
+        };
+    }
+
+    if (type === 'deposit') {
+        // Lines whose terms ask for no deposit are paid in full
+        let linesTotal = 0;
+        let depositTotal = 0;
+        cart.forEach(item => {
+            const lineTotal = (item.final_price_kes || 0) * (item.quantity || 1);
+            const percent = getDepositPercent(item.payment_terms);
+            linesTotal += lineTotal;
+            depositTotal += percent === null ? lineTotal : lineTotal * percent / 100;
+        });
+        if (linesTotal > 0) {
+            dueNow = Math.min(orderTotal, Math.round(orderTotal * depositTotal / linesTotal));
+        }
+    }
+
+    return {
+        type: type,
+        order_total: orderTotal,
+        due_now: dueNow,
+        balance: orderTotal - dueNow,
+        instalments: splitMpesaAmount(dueNow)
+    };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        PAYMENT_RULES,
+        getDepositPercent,
+        getCreditTermDays,
+        getCartCreditTermDays,
+        splitMpesaAmount,
+        getPaymentPlan
+    };
+}
\ No newline at end of file
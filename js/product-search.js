@@ -0,0 +1,182 @@
+// ========================================
+// PRODUCT SEARCH
+// ========================================
+// Typo-tolerant matching and ranking over the loaded catalogue, shared by
+// the marketplace page (loaded before script.js) and the unit tests in
+// tests/ (required from Node).
+
+/**
+ * Searchable fields and their ranking weights
+ */
+const SEARCH_FIELDS = {
+    name: 10,
+    sku: 8,
+    supplier: 6,
+    category: 4,
+    description: 2
+};
+
+/**
+ * Split text into lowercase word tokens
+ * @param {string} text - Text to tokenize
+ * @returns {Array<string>} Tokens
+ */
+function tokenize(text) {
+    return (text || '').toLowerCase().match(/[a-z0-9]+/g) || [];
+}
+
+/**
+ * Split a search query into terms
+ * @param {string} query - Raw search query
+ * @returns {Array<string>} Search terms
+ */
+function getSearchTerms(query) {
+    return tokenize(query);
+}
+
+/**
+ * Typos allowed for a search term of a given length
+ * @param {number} length - Term length
+ * @returns {number} Maximum edit distance
+ */
+function getAllowedTypos(length) {
+    if (length <= 3) return 0;
+    if (length <= 6) return 1;
+    return 2;
+}
+
+/**
+ * Edit distance between two strings, giving up once it exceeds the limit
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @param {number} maxDistance - Limit after which the exact distance is irrelevant
+ * @returns {number} Edit distance (maxDistance + 1 when over the limit)
+ */
+function getEditDistance(a, b, maxDistance) {
+    if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+            rowMin = Math.min(rowMin, current[j]);
+        }
+        if (rowMin > maxDistance) return maxDistance + 1;
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+/**
+ * Check whether a single token matches a search term (substring, prefix or typo)
+ * @param {string} token - Lowercase token from the product
+ * @param {string} term - Lowercase search term
+ * @returns {boolean} True if the token matches
+ */
+function tokenMatchesTerm(token, term) {
+    if (token.includes(term)) return true;
+
+    const maxTypos = getAllowedTypos(term.length);
+    if (maxTypos === 0) return false;
+
+    // Compare against the whole token and against a same-length prefix (partial typing)
+    return getEditDistance(token, term, maxTypos) <= maxTypos ||
+        (token.length > term.length && getEditDistance(token.slice(0, term.length), term, maxTypos) <= maxTypos);
+}
+
+/**
+ * Score one indexed product against the search terms
+ * @param {Object} entry - Search index entry
+ * @param {Array<string>} terms - Search terms
+ * @param {string} query - Raw query (for exact SKU hits)
+ * @returns {number} Score, 0 when any term does not match
+ */
+function scoreSearchEntry(entry, terms, query) {
+    let score = 0;
+
+    // Exact SKU hits always rank first
+    const normalizedQuery = query.trim().toLowerCase();
+    if (entry.fields.sku && entry.fields.sku === normalizedQuery) {
+        score += 1000;
+    } else if (entry.fields.sku && normalizedQuery.length > 2 && entry.fields.sku.startsWith(normalizedQuery)) {
+        score += 300;
+    }
+
+    for (const term of terms) {
+        let best = 0;
+
+        Object.entries(SEARCH_FIELDS).forEach(([field, weight]) => {
+            let fieldScore = 0;
+            if (entry.fields[field].includes(term)) {
+                fieldScore = weight * 3;
+            } else if (entry.tokens[field].some(token => tokenMatchesTerm(token, term))) {
+                fieldScore = weight;
+            }
+            best = Math.max(best, fieldScore);
+        });
+
+        // Every term must match somewhere
+        if (best === 0 && score < 1000) return 0;
+        score += best;
+    }
+
+    return score;
+}
+
+/**
+ * Index one product for searching
+ * @param {Object} product - Product from the catalogue
+ * @returns {Object} Search index entry
+ */
+function createSearchEntry(product) {
+    const fields = {
+        name: (product.product_name || '').toLowerCase(),
+        sku: (product.sku || '').toLowerCase(),
+        supplier: (product.supplier_name || '').toLowerCase(),
+        category: (product.category || '').toLowerCase(),
+        description: (product.description || '').toLowerCase()
+    };
+
+    const tokens = {};
+    Object.keys(fields).forEach(field => {
+        tokens[field] = tokenize(fields[field]);
+    });
+
+    return { product, fields, tokens };
+}
+
+/**
+ * Rank indexed products against a search query
+ * @param {Array<Object>} entries - Search index entries
+ * @param {string} query - Raw search query
+ * @returns {Map<Object, number>} Matching products mapped to their score
+ */
+function rankSearchEntries(entries, query) {
+    const terms = getSearchTerms(query);
+    const scores = new Map();
+
+    entries.forEach(entry => {
+        const score = scoreSearchEntry(entry, terms, query);
+        if (score > 0) {
+            scores.set(entry.product, score);
+        }
+    });
+
+    return scores;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        SEARCH_FIELDS,
+        tokenize,
+        getSearchTerms,
+        getEditDistance,
+        tokenMatchesTerm,
+        createSearchEntry,
+        scoreSearchEntry,
+        rankSearchEntries
+    };
+}
\ No newline at end of file
@@ -9,7 +9,47 @@ const CONFIG = {
         : 'https://your-n8n-vps.com',
     API_KEY: window.API_KEY || '',  // Set via environment or global variable
     PRODUCTS_ENDPOINT: '/webhook/products',
-    TIMEOUT_MS: 15000
+    PRODUCTS_PAGE_SIZE: 24,
+    SEARCH_AUTO_FETCH_PAGES: 3,  // extra pages fetched to fill a client-filtered search before "load more"
+    ORDERS_ENDPOINT: '/webhook/orders',
+    ISSUES_ENDPOINT: '/webhook/issues',
+    REPORT_ISSUE_ENDPOINT: '/webhook/report-issue',
+    INVOICE_ENDPOINT: '/webhook/generate-invoice',
+    PAYMENT_CANCEL_ENDPOINT: '/webhook/cancel-payment',
+    PAYBILL_CONFIRM_ENDPOINT: '/webhook/paybill-confirm',
+    CREDIT_ACCOUNT_ENDPOINT: '/webhook/credit-account',
+    ADDRESSES_ENDPOINT: '/webhook/addresses',
+    CREDIT_CHECKOUT_ENDPOINT: '/webhook/checkout-credit',
+    CREDIT_REMINDER_DAYS: 7,
+    MPESA_PAYBILL_NUMBER: window.MPESA_PAYBILL_NUMBER || '',  // Lipa Na M-Pesa fallback; hidden when unset
+    SAMPLE_REQUEST_ENDPOINT: '/webhook/request-sample',
+    SAMPLES_ENDPOINT: '/webhook/samples',
+    RFQ_ENDPOINT: '/webhook/rfq',
+    RFQ_ACCEPT_ENDPOINT: '/webhook/rfq-accept',
+    MESSAGES_ENDPOINT: '/webhook/messages',
+    MESSAGE_THREADS_ENDPOINT: '/webhook/message-threads',
+    MESSAGES_READ_ENDPOINT: '/webhook/messages-read',
+    FX_RATES_ENDPOINT: '/webhook/fx-rates',
+    FX_RATES_CACHE_MS: 60 * 60 * 1000,
+    OTP_VERIFY_ENDPOINT: '/webhook/verify-otp',
+    OTP_RESEND_ENDPOINT: '/webhook/resend-otp',
+    OTP_MAX_ATTEMPTS: 5,
+    OTP_RESEND_COOLDOWN_S: 60,
+    OTP_EXPIRY_S: 300,
+    TIMEOUT_MS: 15000,
+    PRICING_TIMEOUT_MS: 10000,
+    PRICING_CONCURRENCY: 3,  // price-check requests in flight at once (cart re-price, tier table)
+    DOCUMENT_TIMEOUT_MS: 30000,
+    PAYMENT_TIMEOUT_MS: 30000,
+    POLL_TIMEOUT_MS: 5000,
+    PAYMENT_WINDOW_MS: 120000,
+    PAYMENT_POLL_BASE_MS: 2000,
+    PAYMENT_POLL_MAX_MS: 10000,
+    PAYMENT_FINAL_CHECKS: 3,
+    MESSAGE_POLL_MS: 15000,
+    UNREAD_POLL_MS: 60000,
+    MAX_RETRIES: 2,
+    RETRY_BASE_DELAY_MS: 500
 };
 
 // ========================================
@@ -19,6 +59,24 @@ let allProducts = [];
 let filteredProducts = [];
 let activeCategory = 'all';
 let searchQuery = '';
+let activeFilters = { supplier: '', maxPrice: null, maxMoq: null, sort: 'relevance' };
+let searchIndex = [];
+let activeSuggestionIndex = -1;
+
+// Catalogue paging
+let catalogue = {
+    requestId: 0,
+    page: 0,
+    cursor: null,
+    hasMore: false,
+    serverPaging: false,
+    autoFetchedPages: 0,
+    loading: false,
+    total: null,
+    categoryCounts: null
+};
+let visibleCount = 0;
+let renderedProducts = [];
 
 // ========================================
 // DOM ELEMENTS CACHE
@@ -26,8 +84,15 @@ let searchQuery = '';
 const productGrid = document.getElementById('product-grid');
 const loadingSpinner = document.getElementById('loading-spinner');
 const emptyState = document.getElementById('empty-state');
-const categoryButtons = document.querySelectorAll('.filter-chip');
+const categoryFilters = document.getElementById('category-filters');
 const searchInput = document.getElementById('search-input');
+const searchSuggestions = document.getElementById('search-suggestions');
+const supplierFilter = document.getElementById('supplier-filter');
+const priceFilter = document.getElementById('price-filter');
+const moqFilter = document.getElementById('moq-filter');
+const sortSelect = document.getElementById('sort-select');
+const loadMoreButton = document.getElementById('load-more-btn');
+const catalogueSentinel = document.getElementById('catalogue-sentinel');
 
 // ========================================
 // VALIDATION & CONFIGURATION
@@ -47,86 +112,691 @@ function validateConfig() {
 }
 
 // ========================================
-// FETCH PRODUCTS FROM N8N
+// API CLIENT
 // ========================================
-async function fetchProducts() {
+
+/**
+ * Base error for failed API calls
+ */
+class ApiError extends Error {
+    /**
+     * @param {string} message - Error message
+     * @param {object} options - status (HTTP status, 0 if none) and data (parsed body)
+     */
+    constructor(message, { status = 0, data = null } = {}) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+        this.data = data;
+    }
+}
+
+/** Request never reached the server (offline, DNS, CORS) */
+class NetworkError extends ApiError {
+    constructor(message, options) {
+        super(message, options);
+        this.name = 'NetworkError';
+    }
+}
+
+/** Request exceeded its timeout */
+class TimeoutError extends ApiError {
+    constructor(message, options) {
+        super(message, options);
+        this.name = 'TimeoutError';
+    }
+}
+
+/** 401/403 - credentials missing, invalid or expired */
+class AuthError extends ApiError {
+    constructor(message, options) {
+        super(message, options);
+        this.name = 'AuthError';
+    }
+}
+
+/** 400/422 - request rejected by backend validation */
+class ValidationError extends ApiError {
+    constructor(message, options) {
+        super(message, options);
+        this.name = 'ValidationError';
+    }
+}
+
+/** 5xx - backend or n8n workflow failure */
+class ServerError extends ApiError {
+    constructor(message, options) {
+        super(message, options);
+        this.name = 'ServerError';
+    }
+}
+
+/**
+ * Map an HTTP error response to a typed error
+ * @param {Response} response - Fetch response
+ * @param {object|null} data - Parsed response body
+ * @returns {ApiError} Typed error
+ */
+function createHttpError(response, data) {
+    const message = (data && data.message) || `API Error: ${response.status} ${response.statusText}`;
+    const options = { status: response.status, data: data };
+
+    if (response.status === 401 || response.status === 403) {
+        return new AuthError(message, options);
+    }
+    if (response.status === 400 || response.status === 422) {
+        return new ValidationError(message, options);
+    }
+    if (response.status >= 500) {
+        return new ServerError(message, options);
+    }
+    return new ApiError(message, options);
+}
+
+/**
+ * Whether a failed request is worth retrying
+ * @param {Error} error - Error thrown by a request attempt
+ * @returns {boolean} Retryable
+ */
+function isRetryableError(error) {
+    return error instanceof NetworkError ||
+        error instanceof TimeoutError ||
+        error instanceof ServerError;
+}
+
+/**
+ * Wait for a number of milliseconds
+ * @param {number} ms - Delay in milliseconds
+ * @returns {Promise<void>}
+ */
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Perform a single request attempt with timeout
+ * @param {string} url - Full URL
+ * @param {object} init - Fetch options
+ * @param {number} timeoutMs - Timeout in milliseconds
+ * @returns {Promise<object|null>} Parsed JSON body
+ */
+async function apiFetchOnce(url, init, timeoutMs) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+
+    // The timeout also covers reading the body: a stalled stream is aborted
+    // and a dropped connection mid-body is a network error
+    let response;
+    let text;
     try {
-        // Show loading state
-        loadingSpinner.classList.remove('hidden');
-        productGrid.classList.add('hidden');
-        emptyState.classList.add('hidden');
+        response = await fetch(url, { ...init, signal: controller.signal });
+        // n8n webhooks may answer with an empty body
+        text = await response.text();
+    } catch (error) {
+        if (error.name === 'AbortError') {
+            throw new TimeoutError(`Request timed out after ${timeoutMs}ms`);
+        }
+        throw new NetworkError(error.message || 'Network request failed');
+    } finally {
+        clearTimeout(timeoutId);
+    }
 
-        // Create abort controller for timeout
-        const controller = new AbortController();
-        const timeoutId = setTimeout(() => controller.abort(), CONFIG.TIMEOUT_MS);
+    let data = null;
+    if (text) {
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            if (response.ok) {
+                throw new ServerError('Invalid JSON response', { status: response.status });
+            }
+        }
+    }
 
-        // Make secure request to n8n endpoint
-        const response = await fetch(
-            `${CONFIG.API_BASE_URL}${CONFIG.PRODUCTS_ENDPOINT}`,
-            {
-                method: 'GET',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'x-api-key': CONFIG.API_KEY
-                },
-                signal: controller.signal
+    if (!response.ok) {
+        throw createHttpError(response, data);
+    }
+
+    return data;
+}
+
+/**
+ * Call an n8n webhook
+ * GETs are retried with exponential backoff; other methods are sent once
+ * @param {string} path - Endpoint path (e.g. '/webhook/products')
+ * @param {object} options - method, query, body (object or FormData), headers, timeoutMs, retries, auth (false to skip the token)
+ * @returns {Promise<object|null>} Parsed JSON body
+ */
+async function apiRequest(path, options = {}) {
+    const method = options.method || 'GET';
+    const timeoutMs = options.timeoutMs || CONFIG.TIMEOUT_MS;
+    const retries = options.retries !== undefined
+        ? options.retries
+        : (method === 'GET' ? CONFIG.MAX_RETRIES : 0);
+
+    let url = `${CONFIG.API_BASE_URL}${path}`;
+    if (options.query) {
+        url += `?${new URLSearchParams(options.query).toString()}`;
+    }
+
+    const init = {
+        method: method,
+        headers: {
+            'Content-Type': 'application/json',
+            'x-api-key': CONFIG.API_KEY,
+            ...options.headers
+        }
+    };
+
+    // Send the session token unless the call is part of logging in
+    const sendToken = options.auth !== false;
+    const token = sendToken ? getAuthToken() : null;
+    if (token) {
+        init.headers['Authorization'] = `Bearer ${token}`;
+    }
+    if (options.body instanceof FormData) {
+        // Let the browser set the multipart boundary
+        delete init.headers['Content-Type'];
+        init.body = options.body;
+    } else if (options.body !== undefined) {
+        init.body = JSON.stringify(options.body);
+    }
+
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await apiFetchOnce(url, init, timeoutMs);
+        } catch (error) {
+            // Expired or revoked token: back to login
+            if (error instanceof AuthError && sendToken && error.status === 401) {
+                handleSessionExpired();
             }
-        );
 
-        clearTimeout(timeoutId);
+            if (attempt >= retries || !isRetryableError(error)) {
+                throw error;
+            }
 
-        // Handle response errors
-        if (!response.ok) {
-            throw new Error(`API Error: ${response.status} ${response.statusText}`);
+            // Exponential backoff with jitter: ~0.5s, 1s, 2s...
+            const backoff = CONFIG.RETRY_BASE_DELAY_MS * Math.pow(2, attempt);
+            console.warn(`⚠ ${method} ${path} failed (${error.name}), retrying in ${backoff}ms`);
+            await delay(backoff + Math.random() * backoff * 0.25);
         }
+    }
+}
+
+/**
+ * Get a user-facing message for an API error
+ * @param {Error} error - Error thrown by apiRequest()
+ * @param {string} fallback - Message for unexpected errors
+ * @returns {string} Message to display
+ */
+function getErrorMessage(error, fallback) {
+    if (error instanceof AuthError) {
+        return 'Your session has expired. Please log in again.';
+    }
+    if (error instanceof TimeoutError) {
+        return 'Request timed out. Please try again.';
+    }
+    if (error instanceof NetworkError) {
+        return 'Network error. Please check your connection and try again.';
+    }
+    if (error instanceof ValidationError) {
+        return error.message;
+    }
+    if (error instanceof ServerError) {
+        return 'Our servers are having trouble right now. Please try again later.';
+    }
+    return fallback;
+}
+
+// ========================================
+// OFFLINE CACHE (IndexedDB)
+// ========================================
+// Product data is cached here by the page; the service worker (sw.js) only
+// caches the page shell and images. Checkout and payment are never cached.
+
+const OFFLINE_DB_NAME = 'kenya_b2b_offline';
+const OFFLINE_DB_VERSION = 1;
+let offlineDbPromise = null;
+let outboxReplaying = false;
+
+/**
+ * Open the offline database (resolves null where IndexedDB is unavailable)
+ * @returns {Promise<IDBDatabase|null>}
+ */
+function openOfflineDb() {
+    if (!window.indexedDB) return Promise.resolve(null);
+
+    if (!offlineDbPromise) {
+        offlineDbPromise = new Promise(resolve => {
+            const request = window.indexedDB.open(OFFLINE_DB_NAME, OFFLINE_DB_VERSION);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains('responses')) {
+                    db.createObjectStore('responses', { keyPath: 'key' });
+                }
+                if (!db.objectStoreNames.contains('outbox')) {
+                    db.createObjectStore('outbox', { keyPath: 'id', autoIncrement: true });
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                console.warn('⚠ Offline cache unavailable:', request.error?.message);
+                resolve(null);
+            };
+        });
+    }
+    return offlineDbPromise;
+}
 
-        // Parse and validate response
-        const data = await response.json();
+/**
+ * Run one operation against an object store. Cache failures never break the page.
+ * @param {string} storeName - 'responses' or 'outbox'
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} operation - Receives the store, returns an IDBRequest
+ * @returns {Promise<*>} Request result, or null on failure
+ */
+async function runOfflineStore(storeName, mode, operation) {
+    const db = await openOfflineDb();
+    if (!db) return null;
 
-        if (!data.products || !Array.isArray(data.products)) {
-            throw new Error('Invalid response format from n8n endpoint');
+    return new Promise(resolve => {
+        try {
+            const transaction = db.transaction(storeName, mode);
+            const request = operation(transaction.objectStore(storeName));
+            transaction.oncomplete = () => resolve(request.result ?? null);
+            transaction.onerror = () => {
+                console.warn('⚠ Offline cache error:', transaction.error?.message);
+                resolve(null);
+            };
+        } catch (error) {
+            console.warn('⚠ Offline cache error:', error.message);
+            resolve(null);
         }
+    });
+}
 
-        // Store and render products
-        allProducts = data.products;
-        filteredProducts = [...allProducts];
-        renderProducts();
-        loadingSpinner.classList.add('hidden');
+/**
+ * Read a cached API response
+ * @param {string} key - Cache key
+ * @returns {Promise<{key: string, data: *, saved_at: string}|null>}
+ */
+function readCachedResponse(key) {
+    return runOfflineStore('responses', 'readonly', store => store.get(key));
+}
+
+/**
+ * Save an API response for offline use
+ * @param {string} key - Cache key
+ * @param {*} data - Response data
+ */
+function writeCachedResponse(key, data) {
+    return runOfflineStore('responses', 'readwrite', store => store.put({
+        key: key,
+        data: data,
+        saved_at: new Date().toISOString()
+    }));
+}
+
+/**
+ * Remove every cached API response (on logout, so the next user never sees them)
+ */
+function clearCachedResponses() {
+    return runOfflineStore('responses', 'readwrite', store => store.clear());
+}
+
+/**
+ * Whether an error means the buyer is offline or the network is too slow
+ * @param {Error} error - Error thrown by apiRequest()
+ * @returns {boolean}
+ */
+function isOfflineError(error) {
+    return error instanceof NetworkError || error instanceof TimeoutError;
+}
+
+/**
+ * Show the "last updated" notice for cached data
+ * @param {string} savedAt - When the data was cached (ISO string)
+ * @param {boolean} offline - True when revalidation failed because the buyer is offline
+ * @param {boolean} refreshFailed - True when revalidation failed for another reason (e.g. 5xx)
+ */
+function showCacheNotice(savedAt, offline, refreshFailed = false) {
+    const notice = document.getElementById('cache-notice');
+    if (!notice) return;
+
+    const updated = new Date(savedAt).toLocaleString('en-KE', { dateStyle: 'medium', timeStyle: 'short' });
+    if (offline) {
+        notice.textContent = `📡 You appear to be offline. Showing data last updated ${updated}. Prices may have changed.`;
+    } else if (refreshFailed) {
+        notice.textContent = `⚠ Could not check for newer prices. Showing data last updated ${updated}. Prices may have changed.`;
+    } else {
+        notice.textContent = `🕒 Last updated ${updated}. Checking for newer prices...`;
+    }
+    notice.classList.toggle('offline', offline || refreshFailed);
+    notice.classList.remove('hidden');
+}
+
+/**
+ * Show the cached-data notice after revalidation failed
+ * @param {string} savedAt - When the data was cached (ISO string)
+ * @param {Error} error - Error thrown by apiRequest()
+ */
+function showCacheRefreshFailed(savedAt, error) {
+    const offline = isOfflineError(error);
+    showCacheNotice(savedAt, offline, !offline);
+}
+
+function hideCacheNotice() {
+    document.getElementById('cache-notice')?.classList.add('hidden');
+}
+
+/**
+ * Queue a POST made while offline so it can be sent later
+ * @param {string} path - API path
+ * @param {object} body - Request body
+ * @param {string} label - Description shown to the buyer on replay
+ */
+function queueOfflineRequest(path, body, label) {
+    return runOfflineStore('outbox', 'readwrite', store => store.add({
+        path: path,
+        body: body,
+        label: label,
+        queued_at: new Date().toISOString()
+    }));
+}
+
+/**
+ * Send queued requests once the connection is back
+ */
+async function replayOfflineQueue() {
+    if (outboxReplaying || !navigator.onLine) return;
+    outboxReplaying = true;
+
+    try {
+        const queued = await runOfflineStore('outbox', 'readonly', store => store.getAll()) || [];
+        if (queued.length === 0 || !checkUserSession()) return;
+
+        let sent = 0;
+        for (const item of queued) {
+            try {
+                await apiRequest(item.path, { method: 'POST', body: item.body });
+                sent++;
+            } catch (error) {
+                // Still offline or signed out: keep the rest queued for next time
+                if (isOfflineError(error) || error instanceof AuthError) break;
+
+                console.error(`❌ Queued ${item.label} rejected:`, error.message);
+                showNotification(getErrorMessage(error, `Your queued ${item.label} could not be sent.`), 'error');
+            }
+            await runOfflineStore('outbox', 'readwrite', store => store.delete(item.id));
+        }
+
+        if (sent > 0) {
+            console.log(`✅ Sent ${sent} queued offline request(s)`);
+            showNotification(`${sent} request${sent === 1 ? '' : 's'} made offline ${sent === 1 ? 'has' : 'have'} now been sent`);
+        }
+
+    } finally {
+        outboxReplaying = false;
+    }
+}
+
+/**
+ * Register the service worker and replay anything queued while offline
+ */
+function initializeOfflineSupport() {
+    // Root path and scope: a relative path would resolve under clean /product/... URLs
+    if ('serviceWorker' in navigator) {
+        navigator.serviceWorker.register('/sw.js', { scope: '/' })
+            .catch(error => console.warn('⚠ Service worker registration failed:', error.message));
+    }
+
+    window.addEventListener('online', replayOfflineQueue);
+    replayOfflineQueue();
+}
+
+// ========================================
+// FETCH PRODUCTS FROM N8N
+// ========================================
+async function fetchProducts() {
+    readFiltersFromUrl();
+    setupInfiniteScroll();
+    await loadCataloguePage(true);
+}
 
-        console.log(`✅ Successfully loaded ${allProducts.length} products`);
+/**
+ * Build the query for the next catalogue page.
+ * Category and search are sent to the server; the remaining facets stay client-side.
+ * @returns {Object} Query params
+ */
+function getCatalogueQuery() {
+    const query = {
+        page: catalogue.page + 1,
+        limit: CONFIG.PRODUCTS_PAGE_SIZE
+    };
+    if (catalogue.cursor) query.cursor = catalogue.cursor;
+    if (activeCategory !== 'all') query.category = activeCategory;
+    if (searchQuery.trim()) query.q = searchQuery.trim();
+    return query;
+}
+
+/**
+ * Load a page of the catalogue
+ * @param {boolean} reset - Start again from the first page (filters changed)
+ */
+async function loadCataloguePage(reset = false) {
+    const requestId = ++catalogue.requestId;
+    if (reset) {
+        catalogue.page = 0;
+        catalogue.cursor = null;
+        catalogue.autoFetchedPages = 0;
+    }
+    const query = getCatalogueQuery();
+    const cacheKey = `catalogue:${JSON.stringify({ page: query.page, category: query.category, q: query.q })}`;
+    let cached = null;
+    let loaded = false;
+
+    try {
+        if (reset) {
+            // Show loading state
+            loadingSpinner.classList.remove('hidden');
+            productGrid.classList.add('hidden');
+            emptyState.classList.add('hidden');
+
+            // Render the saved copy straight away, then revalidate below
+            cached = await readCachedResponse(cacheKey);
+            if (requestId !== catalogue.requestId) return;
+            if (cached) {
+                applyCataloguePage(cached.data, true);
+                showCacheNotice(cached.saved_at, false);
+            }
+        }
+        catalogue.loading = true;
+        updateLoadMoreControl();
+
+        // Make secure request to n8n endpoint
+        const data = await apiRequest(CONFIG.PRODUCTS_ENDPOINT, { query: query });
+
+        // A newer request (filter change) has replaced this one
+        if (requestId !== catalogue.requestId) return;
+
+        applyCataloguePage(data, reset);
+        writeCachedResponse(cacheKey, data);
+        hideCacheNotice();
+        loaded = true;
+
+        console.log(`✅ Loaded catalogue page ${catalogue.page} (${allProducts.length} products${catalogue.serverPaging ? '' : ', client-side paging'})`);
 
     } catch (error) {
+        if (requestId !== catalogue.requestId) return;
+
         console.error('❌ Error fetching products:', error.message);
         loadingSpinner.classList.add('hidden');
 
-        if (error.name === 'AbortError') {
-            showEmptyState('Request timed out. Please try again.');
+        // Keep the cached first page on screen; offline, fall back to a cached next page
+        if (!reset && isOfflineError(error)) {
+            cached = await readCachedResponse(cacheKey);
+            if (cached) applyCataloguePage(cached.data, false);
+        }
+        if (cached) {
+            showCacheRefreshFailed(cached.saved_at, error);
+            return;
+        }
+
+        if (reset) {
+            showEmptyState(getErrorMessage(error, 'Failed to load products. Please try again later.'));
         } else {
-            showEmptyState('Failed to load products. Please try again later.');
+            showNotification(getErrorMessage(error, 'Could not load more products.'), 'error');
+        }
+
+    } finally {
+        if (requestId === catalogue.requestId) {
+            catalogue.loading = false;
+            updateLoadMoreControl();
+
+            // Search results are still filtered on the client: fetch a few more pages
+            // to fill the first screen, then leave the rest to "load more"
+            if (loaded && needsMoreSearchResults()) {
+                catalogue.autoFetchedPages++;
+                loadCataloguePage(false);
+            }
         }
     }
 }
 
+/**
+ * Check whether a search should fetch another page automatically
+ * @returns {boolean} True when matches fill less than one page, more can be fetched
+ *   and the auto-fetch limit has not been reached
+ */
+function needsMoreSearchResults() {
+    return catalogue.serverPaging && catalogue.hasMore &&
+        catalogue.autoFetchedPages < CONFIG.SEARCH_AUTO_FETCH_PAGES &&
+        getSearchTerms(searchQuery).length > 0 && filteredProducts.length < CONFIG.PRODUCTS_PAGE_SIZE;
+}
+
+/**
+ * Store a catalogue page (from the network or the offline cache) and render it
+ * @param {object} data - Products response
+ * @param {boolean} reset - Replace the loaded products instead of appending
+ */
+function applyCataloguePage(data, reset) {
+    // Validate response
+    if (!data || !data.products || !Array.isArray(data.products)) {
+        throw new Error('Invalid response format from n8n endpoint');
+    }
+
+    // Servers that ignore paging return the full catalogue without a cursor;
+    // everything is then filtered and paged on the client
+    catalogue.serverPaging = data.next_cursor !== undefined || data.has_more !== undefined;
+    catalogue.page = reset ? 1 : catalogue.page + 1;
+    catalogue.cursor = data.next_cursor || null;
+    catalogue.hasMore = catalogue.serverPaging && (data.has_more ?? Boolean(data.next_cursor));
+    catalogue.total = typeof data.total === 'number' ? data.total : null;
+    catalogue.categoryCounts = data.category_counts || null;
+
+    // Store products (cursor pages can overlap) and rebuild search and facets
+    if (reset) {
+        allProducts = data.products;
+    } else {
+        const loadedIds = new Set(allProducts.map(p => p.product_id));
+        allProducts = allProducts.concat(data.products.filter(p => !loadedIds.has(p.product_id)));
+    }
+    buildSearchIndex();
+    buildFacets();
+
+    visibleCount = reset ? CONFIG.PRODUCTS_PAGE_SIZE : visibleCount + CONFIG.PRODUCTS_PAGE_SIZE;
+    filterProducts(!reset);
+    loadingSpinner.classList.add('hidden');
+}
+
+/**
+ * Show the next chunk of products, fetching another page from the server when needed
+ */
+function loadMoreProducts() {
+    if (catalogue.loading) return;
+
+    if (renderedProducts.length < filteredProducts.length) {
+        visibleCount += CONFIG.PRODUCTS_PAGE_SIZE;
+        renderProducts(true);
+    } else if (catalogue.hasMore) {
+        loadCataloguePage(false);
+    }
+}
+
+/**
+ * Re-query the server for category/search changes, or filter locally when it does not page
+ */
+function applyCatalogueQuery() {
+    if (catalogue.serverPaging) {
+        syncFiltersToUrl();
+        loadCataloguePage(true);
+    } else {
+        filterProducts();
+    }
+}
+
+/**
+ * Load more automatically when the end of the grid scrolls into view
+ */
+function setupInfiniteScroll() {
+    if (!catalogueSentinel || !('IntersectionObserver' in window)) return;
+
+    const observer = new IntersectionObserver(entries => {
+        if (entries.some(entry => entry.isIntersecting)) {
+            loadMoreProducts();
+        }
+    }, { rootMargin: '400px' });
+    observer.observe(catalogueSentinel);
+}
+
+/**
+ * Update the "load more" button and its status text
+ */
+function updateLoadMoreControl() {
+    if (!loadMoreButton) return;
+
+    const hasMore = renderedProducts.length < filteredProducts.length || catalogue.hasMore;
+    // With nothing rendered, only offer more when the server has further pages
+    loadMoreButton.classList.toggle('hidden', !hasMore || (renderedProducts.length === 0 && !catalogue.hasMore));
+    loadMoreButton.disabled = catalogue.loading;
+    loadMoreButton.textContent = catalogue.loading ? 'Loading...' : 'Load more products';
+}
+
 // ========================================
 // RENDER PRODUCT GRID
 // ========================================
-function renderProducts() {
-    productGrid.innerHTML = '';
+/**
+ * Render the grid incrementally: cards already on screen are kept when appending
+ * @param {boolean} append - Keep rendered cards if they are still the first results
+ */
+function renderProducts(append = false) {
+    const keepRendered = append && renderedProducts.every((product, index) => filteredProducts[index] === product);
+    if (!keepRendered) {
+        productGrid.innerHTML = '';
+        renderedProducts = [];
+    }
 
     if (filteredProducts.length === 0) {
-        showEmptyState('No products match your search.');
+        showEmptyState(catalogue.hasMore
+            ? 'No matches in the products loaded so far. Load more to keep searching.'
+            : 'No products match your search.');
+        updateLoadMoreControl();
         return;
     }
 
-    // Create and append product cards
-    filteredProducts.forEach(product => {
-        const card = createProductCard(product);
-        productGrid.appendChild(card);
+    // Create and append only the cards that are not on screen yet
+    const fragment = document.createDocumentFragment();
+    const target = Math.min(Math.max(visibleCount, CONFIG.PRODUCTS_PAGE_SIZE), filteredProducts.length);
+    filteredProducts.slice(renderedProducts.length, target).forEach(product => {
+        fragment.appendChild(createProductCard(product));
+        renderedProducts.push(product);
     });
+    productGrid.appendChild(fragment);
 
     // Show grid, hide loading/empty states
     productGrid.classList.remove('hidden');
     emptyState.classList.add('hidden');
+    updateLoadMoreControl();
 }
 
 // ========================================
@@ -145,6 +815,9 @@ function createProductCard(product) {
     const supplier = product.supplier_name || 'Unknown Supplier';
     const sku = product.sku || '';
 
+    // Highlight terms from the active search
+    const searchTerms = getSearchTerms(searchQuery);
+
     // Build card HTML
     card.innerHTML = `
         <div class="relative overflow-hidden" style="aspect-ratio: 1/1;">
@@ -159,13 +832,13 @@ function createProductCard(product) {
             </div>` : ''}
         </div>
         <div class="product-content">
-            <h3 class="product-name">${escapeHtml(productName)}</h3>
-            <p class="product-supplier">${escapeHtml(supplier)}</p>
-            ${sku ? `<p class="text-xs text-gray-500 mb-3">SKU: ${escapeHtml(sku)}</p>` : ''}
+            <h3 class="product-name">${highlightMatches(productName, searchTerms)}</h3>
+            <p class="product-supplier">${highlightMatches(supplier, searchTerms)}</p>
+            ${sku ? `<p class="text-xs text-gray-500 mb-3">SKU: ${highlightMatches(sku, searchTerms)}</p>` : ''}
             <div class="product-footer">
                 <div class="price-section">
                     <p class="price-label">Fully Landed Price</p>
-                    <p class="price-badge">KES ${formatPrice(finalPrice)}</p>
+                    <p class="price-badge">${formatMoney(finalPrice)}</p>
                 </div>
                 <button class="product-cta" data-product-id="${escapeHtml(productId)}">
                     View
@@ -192,53 +865,411 @@ function createProductCard(product) {
 // ========================================
 // FILTER & SEARCH PRODUCTS
 // ========================================
-function filterProducts() {
+/**
+ * Display labels for known categories. Unknown categories fall back to their raw name.
+ */
+const CATEGORY_LABELS = {
+    bags: '👜 Bags & Luggage',
+    electronics: '📱 Electronics',
+    clothing: '👕 Clothing & Textiles',
+    home: '🏠 Home & Kitchen'
+};
+
+const SORT_OPTIONS = {
+    relevance: null,
+    price_asc: (a, b) => (a.final_price_kes || 0) - (b.final_price_kes || 0),
+    price_desc: (a, b) => (b.final_price_kes || 0) - (a.final_price_kes || 0),
+    newest: (a, b) => new Date(b.created_at || 0) - new Date(a.created_at || 0),
+    moq_asc: (a, b) => (a.moq || 1) - (b.moq || 1)
+};
+
+/**
+ * Apply search, facets and sorting to the loaded products
+ * @param {boolean} append - Called after loading another page (keep rendered cards)
+ */
+function filterProducts(append = false) {
+    // Ranked, typo-tolerant matches from the search index (null when not searching)
+    const searchScores = getSearchTerms(searchQuery).length > 0 ? rankSearchResults(searchQuery) : null;
+
     filteredProducts = allProducts.filter(product => {
         // Category filter
         const matchesCategory = activeCategory === 'all' || 
             (product.category && product.category.toLowerCase() === activeCategory);
 
-        // Search filter (check product name, supplier, and SKU)
-        const searchLower = searchQuery.toLowerCase();
-        const matchesSearch = 
-            (product.product_name && product.product_name.toLowerCase().includes(searchLower)) ||
-            (product.supplier_name && product.supplier_name.toLowerCase().includes(searchLower)) ||
-            (product.sku && product.sku.includes(searchQuery));
+        // Search filter (name, supplier, SKU, category and description)
+        const matchesSearch = !searchScores || searchScores.has(product);
+
+        // Supplier, price and MOQ facets
+        const matchesSupplier = !activeFilters.supplier || product.supplier_name === activeFilters.supplier;
+        const matchesPrice = activeFilters.maxPrice === null || (product.final_price_kes || 0) <= activeFilters.maxPrice;
+        const matchesMoq = activeFilters.maxMoq === null || (product.moq || 1) <= activeFilters.maxMoq;
 
-        return matchesCategory && matchesSearch;
+        return matchesCategory && matchesSearch && matchesSupplier && matchesPrice && matchesMoq;
     });
 
-    renderProducts();
+    const compare = SORT_OPTIONS[activeFilters.sort];
+    if (compare) {
+        filteredProducts.sort(compare);
+    } else if (searchScores) {
+        filteredProducts.sort((a, b) => searchScores.get(b) - searchScores.get(a));
+    }
+
+    if (!append) {
+        visibleCount = CONFIG.PRODUCTS_PAGE_SIZE;
+    }
+
+    syncFiltersToUrl();
+    updateResultsCount();
+    renderProducts(append);
 }
 
-// ========================================
-// EVENT LISTENERS
-// ========================================
+/**
+ * Build category chips, supplier options and price/MOQ bounds from loaded products
+ */
+function buildFacets() {
+    // Category chips with counts. With server paging, a category-filtered page cannot
+    // tell us about other categories, so keep the chips unless the server sends counts.
+    const keepChips = catalogue.serverPaging && !catalogue.categoryCounts && activeCategory !== 'all' &&
+        categoryFilters && categoryFilters.children.length > 1;
+    if (categoryFilters && !keepChips) {
+        let counts = catalogue.categoryCounts;
+        if (!counts) {
+            counts = {};
+            allProducts.forEach(product => {
+                const category = (product.category || '').toLowerCase();
+                if (category) counts[category] = (counts[category] || 0) + 1;
+            });
+        }
+        const totalCount = Object.values(counts).reduce((sum, count) => sum + count, 0);
 
-// Category filter buttons
-categoryButtons.forEach(button => {
-    button.addEventListener('click', (e) => {
-        // Update active state
-        categoryButtons.forEach(btn => btn.classList.remove('active'));
-        e.target.classList.add('active');
+        const chips = [['all', 'All Categories', catalogue.total ?? totalCount]]
+            .concat(Object.keys(counts).sort().map(category => [category, CATEGORY_LABELS[category] || category, counts[category]]));
 
-        // Update filter and re-render
-        activeCategory = e.target.dataset.category;
-        filterProducts();
-    });
-});
+        categoryFilters.innerHTML = chips.map(([category, label, count]) => `
+            <button class="filter-chip ${category === activeCategory ? 'active' : ''} px-4 py-2 rounded-full font-medium" data-category="${escapeHtml(category)}">
+                ${escapeHtml(label)} <span class="filter-count">(${count})</span>
+            </button>
+        `).join('');
+    }
 
-// Search input with debounce
-let searchTimeout;
-searchInput.addEventListener('input', (e) => {
-    clearTimeout(searchTimeout);
-    
-    searchTimeout = setTimeout(() => {
-        searchQuery = e.target.value;
-        filterProducts();
+    // Supplier list
+    if (supplierFilter) {
+        const suppliers = [...new Set(allProducts.map(p => p.supplier_name).filter(Boolean))].sort();
+        supplierFilter.innerHTML = '<option value="">All suppliers</option>' +
+            suppliers.map(name => `<option value="${escapeHtml(name)}">${escapeHtml(name)}</option>`).join('');
+        supplierFilter.value = suppliers.includes(activeFilters.supplier) ? activeFilters.supplier : '';
+        activeFilters.supplier = supplierFilter.value;
+    }
+
+    // Price range slider on final_price_kes
+    if (priceFilter) {
+        const prices = allProducts.map(p => p.final_price_kes || 0);
+        const maxPrice = prices.length > 0 ? Math.ceil(Math.max(...prices)) : 0;
+        priceFilter.min = prices.length > 0 ? Math.floor(Math.min(...prices)) : 0;
+        priceFilter.max = maxPrice;
+        priceFilter.step = Math.max(1, Math.round(maxPrice / 100));
+        priceFilter.value = activeFilters.maxPrice === null ? maxPrice : Math.min(activeFilters.maxPrice, maxPrice);
+        updatePriceFilterLabel();
+    }
+
+    if (moqFilter) {
+        moqFilter.value = activeFilters.maxMoq === null ? '' : activeFilters.maxMoq;
+    }
+
+    if (sortSelect) {
+        sortSelect.value = activeFilters.sort;
+    }
+}
+
+/**
+ * Show the current price ceiling next to the slider
+ */
+function updatePriceFilterLabel() {
+    const label = document.getElementById('price-filter-value');
+    if (!label || !priceFilter) return;
+
+    label.textContent = activeFilters.maxPrice === null
+        ? 'Any price'
+        : `Up to ${formatMoney(activeFilters.maxPrice)}`;
+}
+
+/**
+ * Show how many products match the current filters
+ */
+function updateResultsCount() {
+    const resultsCount = document.getElementById('results-count');
+    if (!resultsCount) return;
+
+    // Server paging may not report a total; show that more can be loaded
+    const total = catalogue.total ?? allProducts.length;
+    resultsCount.textContent = `${filteredProducts.length} of ${total}${catalogue.hasMore && catalogue.total === null ? '+' : ''} products`;
+}
+
+/**
+ * Read filter state from the URL so filtered views can be bookmarked
+ */
+function readFiltersFromUrl() {
+    const params = new URLSearchParams(window.location.search);
+    const maxPrice = parseFloat(params.get('max_price'));
+    const maxMoq = parseInt(params.get('max_moq'));
+
+    activeCategory = (params.get('category') || 'all').toLowerCase();
+    searchQuery = params.get('q') || '';
+    activeFilters = {
+        supplier: params.get('supplier') || '',
+        maxPrice: isNaN(maxPrice) ? null : maxPrice,
+        maxMoq: isNaN(maxMoq) || maxMoq < 1 ? null : maxMoq,
+        sort: SORT_OPTIONS.hasOwnProperty(params.get('sort')) ? params.get('sort') : 'relevance'
+    };
+
+    if (searchInput) {
+        searchInput.value = searchQuery;
+    }
+}
+
+/**
+ * Write filter state to the URL without adding history entries
+ */
+function syncFiltersToUrl() {
+    const params = new URLSearchParams(window.location.search);
+    const values = {
+        category: activeCategory === 'all' ? '' : activeCategory,
+        q: searchQuery,
+        supplier: activeFilters.supplier,
+        max_price: activeFilters.maxPrice === null ? '' : activeFilters.maxPrice,
+        max_moq: activeFilters.maxMoq === null ? '' : activeFilters.maxMoq,
+        sort: activeFilters.sort === 'relevance' ? '' : activeFilters.sort
+    };
+
+    Object.entries(values).forEach(([key, value]) => {
+        if (value === '' || value === undefined) {
+            params.delete(key);
+        } else {
+            params.set(key, value);
+        }
+    });
+
+    const query = params.toString();
+    history.replaceState(null, '', `${window.location.pathname}${query ? '?' + query : ''}`);
+}
+
+/**
+ * Reset every filter back to the full catalogue
+ */
+function clearFilters() {
+    activeCategory = 'all';
+    searchQuery = '';
+    activeFilters = { supplier: '', maxPrice: null, maxMoq: null, sort: 'relevance' };
+    if (searchInput) searchInput.value = '';
+
+    buildFacets();
+    applyCatalogueQuery();
+}
+
+// ========================================
+// PRODUCT SEARCH INDEX
+// ========================================
+// Matching and ranking live in js/product-search.js (loaded before this
+// file) so they can be unit tested without a DOM.
+
+const MAX_SEARCH_SUGGESTIONS = 6;
+
+/**
+ * Build the search index over loaded products
+ */
+function buildSearchIndex() {
+    searchIndex = allProducts.map(createSearchEntry);
+
+    console.log(`✅ Search index built for ${searchIndex.length} products`);
+}
+
+/**
+ * Rank products against a search query
+ * @param {string} query - Raw search query
+ * @returns {Map<Object, number>} Matching products mapped to their score
+ */
+function rankSearchResults(query) {
+    return rankSearchEntries(searchIndex, query);
+}
+
+/**
+ * Escape text and wrap words matching the search terms in <mark>
+ * @param {string} text - Text to display
+ * @param {Array<string>} terms - Search terms
+ * @returns {string} Safe HTML
+ */
+function highlightMatches(text, terms) {
+    if (!text) return '';
+    if (!terms || terms.length === 0) return escapeHtml(text);
+
+    let html = '';
+    let lastIndex = 0;
+    for (const match of text.matchAll(/[A-Za-z0-9]+/g)) {
+        const word = match[0];
+        html += escapeHtml(text.slice(lastIndex, match.index));
+        html += terms.some(term => tokenMatchesTerm(word.toLowerCase(), term))
+            ? `<mark class="search-highlight">${escapeHtml(word)}</mark>`
+            : escapeHtml(word);
+        lastIndex = match.index + word.length;
+    }
+    return html + escapeHtml(text.slice(lastIndex));
+}
+
+/**
+ * Show the top ranked products under the search box
+ * @param {string} query - Current search input
+ */
+function renderSearchSuggestions(query) {
+    if (!searchSuggestions) return;
+
+    const terms = getSearchTerms(query);
+    if (terms.length === 0) {
+        hideSearchSuggestions();
+        return;
+    }
+
+    const scores = rankSearchResults(query);
+    const suggestions = [...scores.entries()]
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, MAX_SEARCH_SUGGESTIONS)
+        .map(([product]) => product);
+
+    if (suggestions.length === 0) {
+        hideSearchSuggestions();
+        return;
+    }
+
+    activeSuggestionIndex = -1;
+    searchSuggestions.innerHTML = suggestions.map(product => `
+        <li class="search-suggestion" role="option" data-product-id="${escapeHtml(product.product_id || '')}">
+            <div class="font-semibold text-gray-900">${highlightMatches(product.product_name || 'Unknown Product', terms)}</div>
+            <div class="text-xs text-gray-500">
+                ${highlightMatches(product.supplier_name || '', terms)}${product.sku ? ` • SKU: ${highlightMatches(product.sku, terms)}` : ''}
+            </div>
+        </li>
+    `).join('');
+    searchSuggestions.classList.remove('hidden');
+    searchInput.setAttribute('aria-expanded', 'true');
+}
+
+function hideSearchSuggestions() {
+    if (!searchSuggestions) return;
+
+    searchSuggestions.classList.add('hidden');
+    searchSuggestions.innerHTML = '';
+    activeSuggestionIndex = -1;
+    searchInput?.setAttribute('aria-expanded', 'false');
+}
+
+/**
+ * Move the keyboard highlight through the suggestion list
+ * @param {number} step - +1 for down, -1 for up
+ */
+function moveSuggestionSelection(step) {
+    const items = searchSuggestions.querySelectorAll('.search-suggestion');
+    if (items.length === 0) return;
+
+    activeSuggestionIndex = (activeSuggestionIndex + step + items.length) % items.length;
+    items.forEach((item, index) => {
+        item.classList.toggle('active', index === activeSuggestionIndex);
+    });
+}
+
+// ========================================
+// EVENT LISTENERS
+// ========================================
+
+// Category filter chips (rebuilt from product data, so delegate)
+categoryFilters?.addEventListener('click', (e) => {
+    const button = e.target.closest('.filter-chip');
+    if (!button) return;
+
+    // Update active state
+    categoryFilters.querySelectorAll('.filter-chip').forEach(btn => btn.classList.remove('active'));
+    button.classList.add('active');
+
+    // Update filter and re-render (re-queries the server when it pages)
+    activeCategory = button.dataset.category;
+    applyCatalogueQuery();
+});
+
+supplierFilter?.addEventListener('change', (e) => {
+    activeFilters.supplier = e.target.value;
+    filterProducts();
+});
+
+// Price slider: the top of the range means no ceiling
+let priceFilterTimeout;
+priceFilter?.addEventListener('input', (e) => {
+    const value = parseFloat(e.target.value);
+    activeFilters.maxPrice = value >= parseFloat(e.target.max) ? null : value;
+    updatePriceFilterLabel();
+
+    clearTimeout(priceFilterTimeout);
+    priceFilterTimeout = setTimeout(filterProducts, 150);
+});
+
+moqFilter?.addEventListener('change', (e) => {
+    const value = parseInt(e.target.value);
+    activeFilters.maxMoq = isNaN(value) || value < 1 ? null : value;
+    filterProducts();
+});
+
+sortSelect?.addEventListener('change', (e) => {
+    activeFilters.sort = e.target.value;
+    filterProducts();
+});
+
+document.getElementById('clear-filters-btn')?.addEventListener('click', clearFilters);
+
+loadMoreButton?.addEventListener('click', loadMoreProducts);
+
+// Search input with debounce
+let searchTimeout;
+searchInput?.addEventListener('input', (e) => {
+    clearTimeout(searchTimeout);
+    renderSearchSuggestions(e.target.value);
+    
+    searchTimeout = setTimeout(() => {
+        searchQuery = e.target.value;
+        applyCatalogueQuery();
     }, 300);
 });
 
+// Autocomplete keyboard navigation
+searchInput?.addEventListener('keydown', (e) => {
+    if (!searchSuggestions || searchSuggestions.classList.contains('hidden')) return;
+
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault();
+        moveSuggestionSelection(e.key === 'ArrowDown' ? 1 : -1);
+    } else if (e.key === 'Enter') {
+        const active = searchSuggestions.querySelectorAll('.search-suggestion')[activeSuggestionIndex];
+        if (active) {
+            e.preventDefault();
+            navigateToProduct(active.dataset.productId);
+        } else {
+            hideSearchSuggestions();
+        }
+    } else if (e.key === 'Escape') {
+        hideSearchSuggestions();
+    }
+});
+
+searchSuggestions?.addEventListener('click', (e) => {
+    const item = e.target.closest('.search-suggestion');
+    if (item) {
+        navigateToProduct(item.dataset.productId);
+    }
+});
+
+// Close suggestions when clicking elsewhere
+document.addEventListener('click', (e) => {
+    if (searchSuggestions && !e.target.closest('#search-suggestions') && e.target !== searchInput) {
+        hideSearchSuggestions();
+    }
+});
+
 // ========================================
 // UTILITY FUNCTIONS
 // ========================================
@@ -272,6 +1303,68 @@ function escapeHtml(text) {
     return text.replace(/[&<>"']/g, char => map[char]);
 }
 
+/**
+ * Allow only http(s) links from backend or supplier data, so a
+ * javascript: or data: URL never becomes a clickable link
+ * @param {string} url - URL to check (relative URLs resolve against the page)
+ * @returns {string} The URL, or '#' if it is not http(s)
+ */
+function getSafeUrl(url) {
+    if (!url) return '#';
+    try {
+        const parsed = new URL(url, window.location.href);
+        return parsed.protocol === 'http:' || parsed.protocol === 'https:' ? url : '#';
+    } catch (error) {
+        return '#';
+    }
+}
+
+/**
+ * Map over items with at most `limit` async calls in flight, keeping order.
+ * Rejects with the first error, like Promise.all, and starts no new calls after it.
+ * @param {array} items - Items to map
+ * @param {number} limit - Maximum concurrent calls
+ * @param {Function} fn - Async mapper (item, index) => result
+ * @returns {Promise<array>} Results in item order
+ */
+async function mapWithConcurrency(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+    let failed = false;
+
+    async function worker() {
+        while (next < items.length && !failed) {
+            const index = next++;
+            try {
+                results[index] = await fn(items[index], index);
+            } catch (error) {
+                failed = true;
+                throw error;
+            }
+        }
+    }
+
+    const workers = Array.from({ length: Math.min(limit, items.length) }, worker);
+    await Promise.all(workers);
+    return results;
+}
+
+/**
+ * Format ISO date string for display
+ * @param {string} dateString - ISO date string
+ * @returns {string} Formatted date (e.g. 12 Mar 2025)
+ */
+function formatDate(dateString) {
+    if (!dateString) return '-';
+    const date = new Date(dateString);
+    if (isNaN(date.getTime())) return '-';
+    return date.toLocaleDateString('en-KE', {
+        day: 'numeric',
+        month: 'short',
+        year: 'numeric'
+    });
+}
+
 /**
  * Navigate to product detail page
  * @param {string} productId - Product ID
@@ -282,7 +1375,29 @@ function navigateToProduct(productId) {
         return;
     }
     // Navigate to product detail page
-    window.location.href = `product-detail.html?product_id=${productId}`;
+    window.location.href = `product-detail.html?product_id=${encodeURIComponent(productId)}`;
+}
+
+/**
+ * Show a temporary notification in the top-right corner
+ * @param {string} message - Message to display
+ * @param {string} type - 'success' or 'error'
+ */
+function showNotification(message, type = 'success') {
+    const colorClass = type === 'error' ? 'bg-red-500' : 'bg-green-500';
+    const icon = type === 'error' ? '❌' : '✅';
+    const notification = document.createElement('div');
+    notification.className = `fixed top-4 right-4 ${colorClass} text-white px-6 py-4 rounded-lg shadow-lg z-50 flex items-center gap-3`;
+    notification.innerHTML = `
+        <span>${icon}</span>
+        <span>${escapeHtml(message)}</span>
+    `;
+    document.body.appendChild(notification);
+
+    // Remove notification after 4 seconds
+    setTimeout(() => {
+        notification.remove();
+    }, 4000);
 }
 
 /**
@@ -290,182 +1405,605 @@ function navigateToProduct(productId) {
  * @param {string} message - Message to display
  */
 function showEmptyState(message) {
-    productGrid.classList.add('hidden');
-    loadingSpinner.classList.add('hidden');
+    productGrid?.classList.add('hidden');
+    loadingSpinner?.classList.add('hidden');
+    if (!emptyState) return;
     emptyState.textContent = message;
     emptyState.classList.remove('hidden');
 }
 
 // ========================================
-// INITIALIZATION
+// CURRENCY DISPLAY
 // ========================================
-document.addEventListener('DOMContentLoaded', () => {
-    // Validate configuration before fetching
-    if (!validateConfig()) {
-        return;
-    }
 
-    // Detect which page we're on
-    if (document.getElementById('product-grid')) {
-        // Marketplace page
-        fetchProducts();
-    } else if (document.getElementById('product-detail-container')) {
-        // Product detail page
-        initializeProductDetail();
-    }
-});
+/**
+ * Display currencies. Prices are always held in KES and converted for display.
+ */
+const CURRENCIES = {
+    KES: { label: 'KES', decimals: 0 },
+    USD: { label: 'USD', decimals: 2 },
+    RMB: { label: 'RMB', decimals: 2 }
+};
 
-// ========================================
-// PRODUCT DETAIL PAGE LOGIC
-// ========================================
+/**
+ * Exchange rates from the backend: KES per 1 unit of each currency
+ */
+let fxRates = null;
 
 /**
- * Get URL parameter by name
- * @param {string} name - Parameter name
- * @returns {string|null} Parameter value
+ * Storage key for the currency preference, per user
+ * @returns {string} Storage key
  */
-function getUrlParam(name) {
-    const params = new URLSearchParams(window.location.search);
-    return params.get(name);
+function getCurrencyPreferenceKey() {
+    return `currency_pref_${checkUserSession() || 'guest'}`;
 }
 
 /**
- * Extract product ID from URL path
- * @returns {string|null} Product ID
+ * Get the selected display currency, falling back to KES without rates
+ * @returns {string} Currency code
  */
-function getProductIdFromUrl() {
-    const pathParts = window.location.pathname.split('/');
-    const productIndex = pathParts.indexOf('product');
-    if (productIndex !== -1 && pathParts[productIndex + 1]) {
-        return pathParts[productIndex + 1];
+function getDisplayCurrency() {
+    const currency = localStorage.getItem(getCurrencyPreferenceKey()) || 'KES';
+    if (currency === 'KES' || !CURRENCIES[currency] || !fxRates || !fxRates.rates[currency]) {
+        return 'KES';
     }
-    return null;
+    return currency;
 }
 
 /**
- * Fetch product details and pricing from n8n
- * @param {string} productId - Product ID
+ * Format a KES amount in the selected display currency
+ * @param {number} amountKes - Amount in KES
+ * @returns {string} Formatted amount with currency code (e.g. "USD 12.40")
  */
-async function fetchProductDetails(productId) {
-    try {
-        if (!productId) {
-            throw new Error('No product ID provided');
-        }
-
-        const controller = new AbortController();
-        const timeoutId = setTimeout(() => controller.abort(), CONFIG.TIMEOUT_MS);
-
-        const response = await fetch(
-            `${CONFIG.API_BASE_URL}/webhook/product/${productId}`,
-            {
-                method: 'GET',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'x-api-key': CONFIG.API_KEY
-                },
-                signal: controller.signal
-            }
-        );
-
-        clearTimeout(timeoutId);
-
-        if (!response.ok) {
-            throw new Error(`API Error: ${response.status} ${response.statusText}`);
-        }
-
-        const data = await response.json();
-        return data.product;
-
-    } catch (error) {
-        console.error('❌ Error fetching product details:', error.message);
-        throw error;
+function formatMoney(amountKes) {
+    const currency = getDisplayCurrency();
+    if (currency === 'KES') {
+        return `KES ${formatPrice(amountKes)}`;
     }
+
+    const { label, decimals } = CURRENCIES[currency];
+    const converted = new Intl.NumberFormat('en-KE', {
+        minimumFractionDigits: decimals,
+        maximumFractionDigits: decimals
+    }).format((amountKes || 0) / fxRates.rates[currency]);
+    return `${label} ${converted}`;
 }
 
 /**
- * Fetch pricing calculation from n8n price-check endpoint
- * @param {string} productId - Product ID
- * @param {number} quantity - Order quantity
+ * Load exchange rates, using a short-lived session cache
+ * @returns {Promise<void>}
  */
-async function fetchPricingCalculation(productId, quantity) {
+async function loadFxRates() {
     try {
-        if (!productId || !quantity || quantity < 1) {
-            throw new Error('Invalid product ID or quantity');
+        const cached = JSON.parse(sessionStorage.getItem('fx_rates') || 'null');
+        if (cached && Date.now() - cached.fetched_at < CONFIG.FX_RATES_CACHE_MS) {
+            fxRates = cached;
+            return;
         }
 
-        const controller = new AbortController();
-        const timeoutId = setTimeout(() => controller.abort(), CONFIG.TIMEOUT_MS);
-
-        const response = await fetch(
-            `${CONFIG.API_BASE_URL}/webhook/price-check?product_id=${productId}&quantity=${quantity}`,
-            {
-                method: 'GET',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'x-api-key': CONFIG.API_KEY
-                },
-                signal: controller.signal
-            }
-        );
-
-        clearTimeout(timeoutId);
-
-        if (!response.ok) {
-            throw new Error(`Pricing API Error: ${response.status}`);
+        const data = await apiRequest(CONFIG.FX_RATES_ENDPOINT);
+        if (!data || !data.rates) {
+            throw new Error('Invalid response format from fx-rates endpoint');
         }
 
-        const data = await response.json();
-        return {
-            final_price_kes: data.final_price_kes || 0,
-            breakdown: data.breakdown || {},
-            total_order_price: (data.final_price_kes || 0) * quantity
+        fxRates = {
+            rates: data.rates,
+            updated_at: data.updated_at || new Date().toISOString(),
+            fetched_at: Date.now()
         };
+        sessionStorage.setItem('fx_rates', JSON.stringify(fxRates));
 
     } catch (error) {
-        console.error('❌ Error fetching pricing:', error.message);
-        throw error;
+        console.error('❌ Error loading exchange rates:', error.message);
+        fxRates = null;
     }
 }
 
 /**
- * Initialize product detail page
+ * Setup header currency switcher and load rates
  */
-async function initializeProductDetail() {
-    const loadingState = document.getElementById('loading-state');
-    const productContainer = document.getElementById('product-detail-container');
-    const errorState = document.getElementById('error-state');
+async function initializeCurrencySwitcher() {
+    const select = document.getElementById('currency-select');
+    if (!select) return;
+
+    select.value = localStorage.getItem(getCurrencyPreferenceKey()) || 'KES';
+    select.addEventListener('change', () => {
+        localStorage.setItem(getCurrencyPreferenceKey(), select.value);
+        refreshCurrencyDisplays();
+    });
 
-    try {
-        // Get product ID from URL
-        const productId = getProductIdFromUrl();
-        if (!productId) {
-            throw new Error('No product ID found in URL');
-        }
+    await loadFxRates();
 
-        // Fetch product details
-        const product = await fetchProductDetails(productId);
-        if (!product) {
-            throw new Error('Product not found');
-        }
+    // Without rates only KES can be shown
+    Array.from(select.options).forEach(option => {
+        option.disabled = option.value !== 'KES' && !(fxRates && fxRates.rates[option.value]);
+    });
 
-        // Store product data globally for use in event handlers
-        window.currentProduct = product;
-        window.currentProductId = productId;
+    refreshCurrencyDisplays();
+}
 
-        // Render product details
-        renderProductDetails(product);
+/**
+ * Re-render every price on the current page in the selected currency
+ */
+function refreshCurrencyDisplays() {
+    const currency = getDisplayCurrency();
 
-        // Fetch and render initial pricing
-        await updatePricing(productId, 1);
+    document.querySelectorAll('.currency-code').forEach(el => {
+        el.textContent = currency;
+    });
 
-        // Show content, hide loading
-        loadingState.classList.add('hidden');
-        productContainer.classList.remove('hidden');
+    const rateInfo = document.getElementById('fx-rate-info');
+    if (rateInfo) {
+        rateInfo.textContent = currency === 'KES'
+            ? ''
+            : `1 ${currency} = KES ${fxRates.rates[currency].toFixed(2)} • ${formatDate(fxRates.updated_at)} ${new Date(fxRates.updated_at).toLocaleTimeString('en-KE', { hour: '2-digit', minute: '2-digit' })}`;
+        rateInfo.classList.toggle('hidden', currency === 'KES');
+    }
 
-    } catch (error) {
-        console.error('❌ Failed to initialize product detail:', error.message);
-        loadingState.classList.add('hidden');
-        errorState.classList.remove('hidden');
+    // Marketplace
+    if (productGrid && allProducts.length > 0) {
+        updatePriceFilterLabel();
+        renderProducts();
+    }
+
+    // Product detail
+    if (window.currentPricing && document.getElementById('product-detail-container')) {
+        displayPricing(window.currentPricing, window.currentPricing.quantity);
+    }
+
+    // Cart
+    if (document.getElementById('cart-items') && !document.getElementById('cart-container').classList.contains('hidden')) {
+        renderCartPage(getCartFromSession());
+    }
+
+    // Checkout
+    if (document.getElementById('payment-form') && window.cartItems) {
+        renderOrderItems(window.cartItems);
+        calculateTotals(window.cartItems);
+    }
+}
+
+// ========================================
+// PAGE ROUTER & ROUTE GUARDS
+// ========================================
+
+/**
+ * User roles
+ */
+const ROLES = {
+    BUYER: 'buyer',
+    SUPPLIER: 'supplier',
+    ADMIN: 'admin'
+};
+
+/**
+ * Page routes, detected by a marker element unique to each page
+ * roles: who may open the page (omit for any logged-in user)
+ */
+const PAGE_ROUTES = [
+    {
+        page: 'login',
+        marker: 'login-form',
+        requiresAuth: false,
+        init: initializeLoginPage
+    },
+    {
+        page: 'marketplace',
+        marker: 'product-grid',
+        requiresAuth: true,
+        init: fetchProducts
+    },
+    {
+        page: 'product-detail',
+        marker: 'product-detail-container',
+        requiresAuth: true,
+        init: () => {
+            setupProductDetailEventListeners();
+            initializeProductDetail();
+        }
+    },
+    {
+        page: 'cart',
+        marker: 'cart-items',
+        requiresAuth: true,
+        roles: [ROLES.BUYER, ROLES.ADMIN],
+        init: initializeCartPage
+    },
+    {
+        page: 'checkout',
+        marker: 'payment-form',
+        requiresAuth: true,
+        roles: [ROLES.BUYER, ROLES.ADMIN],
+        init: initializeCheckout
+    },
+    {
+        page: 'dashboard',
+        marker: 'orders-list',
+        requiresAuth: true,
+        roles: [ROLES.BUYER, ROLES.ADMIN],
+        init: initializeDashboard
+    }
+];
+
+/**
+ * Detect the current page route
+ * @returns {object|null} Route
+ */
+function getCurrentRoute() {
+    return PAGE_ROUTES.find(route => document.getElementById(route.marker)) || null;
+}
+
+/**
+ * Get the logged-in user's role
+ * @returns {string} Role (defaults to buyer)
+ */
+function getUserRole() {
+    const userData = getUserData();
+    return (userData && userData.role) || ROLES.BUYER;
+}
+
+/**
+ * Check whether the current user may open a route
+ * @param {object} route - Route
+ * @returns {boolean} Allowed
+ */
+function canAccessRoute(route) {
+    return !route.roles || route.roles.includes(getUserRole());
+}
+
+/**
+ * Send the user to login, remembering where they were going
+ * @param {object} params - Extra query parameters for login.html
+ */
+function redirectToLogin(params = {}) {
+    // Full path, so clean /product/<id>-<slug> links come back intact
+    const query = new URLSearchParams({
+        ...params,
+        return: window.location.pathname + window.location.search
+    });
+    // Root-absolute: a relative URL would resolve under /product/
+    window.location.href = `/login.html?${query.toString()}`;
+}
+
+/**
+ * Get a safe same-site return URL from the login page query string
+ * @returns {string|null} Relative URL or same-origin path
+ */
+function getReturnUrl() {
+    const returnUrl = getUrlParam('return');
+    if (!returnUrl) {
+        return null;
+    }
+
+    // Relative page links, or root paths on this origin: no schemes or protocol-relative URLs
+    const isPage = /^[A-Za-z0-9_-]+\.html(\?.*)?$/.test(returnUrl);
+    const isPath = /^\/(?![\/\\])/.test(returnUrl) && !returnUrl.includes('\\');
+    if (!isPage && !isPath) {
+        return null;
+    }
+
+    try {
+        const url = new URL(returnUrl, window.location.href);
+        if (url.origin !== window.location.origin || url.pathname.endsWith('/login.html')) {
+            return null;
+        }
+    } catch (error) {
+        return null;
+    }
+    return returnUrl;
+}
+
+/**
+ * Hide navigation links the current user's role cannot open
+ * Links declare access with data-roles="buyer,admin"
+ */
+function applyRoleNavigation() {
+    const role = getUserRole();
+    document.querySelectorAll('[data-roles]').forEach(link => {
+        const allowed = link.dataset.roles.split(',').map(r => r.trim());
+        link.classList.toggle('hidden', !allowed.includes(role));
+    });
+}
+
+/**
+ * Replace page content with an access denied message
+ */
+function showAccessDenied() {
+    const main = document.querySelector('main');
+    if (main) {
+        main.innerHTML = `
+            <div class="text-center py-20">
+                <p class="text-red-600 text-lg font-semibold mb-4">⚠ Your account does not have access to this page</p>
+                <a href="/index.html" class="inline-block bg-blue-600 text-white px-6 py-3 rounded-lg hover:bg-blue-700">
+                    ← Back to Marketplace
+                </a>
+            </div>
+        `;
+    }
+}
+
+/**
+ * Guard and initialize the current page
+ */
+function routePage() {
+    const route = getCurrentRoute();
+    if (!route) {
+        return;
+    }
+
+    // Anonymous users go to login with a return URL
+    if (route.requiresAuth && !checkUserSession()) {
+        redirectToLogin();
+        return;
+    }
+
+    if (route.requiresAuth) {
+        applyRoleNavigation();
+
+        if (!canAccessRoute(route)) {
+            console.warn(`⚠ Role "${getUserRole()}" cannot open ${route.page}`);
+            showAccessDenied();
+            return;
+        }
+    }
+
+    // Validate configuration before fetching
+    if (!validateConfig()) {
+        return;
+    }
+
+    // Header features fetch rates, replay queued requests and poll messages,
+    // so they only start once the page is allowed and configured
+    initializeCurrencySwitcher();
+    initializeOfflineSupport();
+    initializeMessaging();
+
+    route.init();
+}
+
+// ========================================
+// INITIALIZATION
+// ========================================
+document.addEventListener('DOMContentLoaded', () => {
+    // Header cart badge is shown on every page
+    updateCartBadge();
+    scheduleSessionExpiry();
+
+    // Guard and initialize the current page (and its header features)
+    routePage();
+});
+
+// ========================================
+// PRODUCT DETAIL PAGE LOGIC
+// ========================================
+
+/**
+ * Get URL parameter by name
+ * @param {string} name - Parameter name
+ * @returns {string|null} Parameter value
+ */
+function getUrlParam(name) {
+    const params = new URLSearchParams(window.location.search);
+    return params.get(name);
+}
+
+/**
+ * Extract product ID from the URL
+ * Supports product-detail.html?product_id=<id> and clean /product/<id>-<slug> paths.
+ * The first literal hyphen ends the ID; IDs that contain hyphens are written
+ * with them percent-encoded (/product/SKU%2D12-desk-lamp).
+ * @returns {string|null} Product ID
+ */
+function getProductIdFromUrl() {
+    const queryId = getUrlParam('product_id');
+    if (queryId) {
+        return queryId;
+    }
+
+    // Read the raw path: location.pathname keeps %2D encoded
+    const pathParts = window.location.pathname.split('/');
+    const productIndex = pathParts.indexOf('product');
+    if (productIndex !== -1 && pathParts[productIndex + 1]) {
+        try {
+            return decodeURIComponent(pathParts[productIndex + 1].split('-')[0]) || null;
+        } catch (error) {
+            return null;
+        }
+    }
+    return null;
+}
+
+/**
+ * Get the requested quantity from the URL (?qty=500)
+ * @returns {number|null} Quantity
+ */
+function getQuantityFromUrl() {
+    const qty = parseInt(getUrlParam('qty'));
+    return qty > 0 ? qty : null;
+}
+
+/**
+ * Keep the priced quantity in the URL so the configuration can be shared
+ * @param {number} quantity - Order quantity
+ */
+function updateProductUrl(quantity) {
+    const url = new URL(window.location.href);
+
+    // Clean paths already carry the ID; only query-string URLs need it
+    if (!url.pathname.includes('/product/')) {
+        url.searchParams.set('product_id', window.currentProductId);
+    }
+    url.searchParams.set('qty', quantity);
+    window.history.replaceState(null, '', url.toString());
+}
+
+/**
+ * Copy the current product link (with quantity) to the clipboard
+ */
+async function copyProductLink() {
+    try {
+        await navigator.clipboard.writeText(window.location.href);
+        showNotification('Link copied. Share it with your team.');
+    } catch (error) {
+        console.error('❌ Error copying link:', error.message);
+        window.prompt('Copy this link:', window.location.href);
+    }
+}
+
+/**
+ * Fetch product details and pricing from n8n
+ * @param {string} productId - Product ID
+ */
+async function fetchProductDetails(productId) {
+    try {
+        if (!productId) {
+            throw new Error('No product ID provided');
+        }
+
+        const data = await apiRequest(`/webhook/product/${encodeURIComponent(productId)}`);
+        return data ? data.product : null;
+
+    } catch (error) {
+        console.error('❌ Error fetching product details:', error.message);
+        throw error;
+    }
+}
+
+/**
+ * Load product details from the offline cache when available and revalidate
+ * in the background; otherwise wait for the network
+ * @param {string} productId - Product ID
+ * @returns {Promise<object|null>} Product
+ */
+async function loadProductDetails(productId) {
+    const cacheKey = `product:${productId}`;
+    const cached = await readCachedResponse(cacheKey);
+
+    if (!cached) {
+        const product = await fetchProductDetails(productId);
+        if (product) writeCachedResponse(cacheKey, product);
+        return product;
+    }
+
+    showCacheNotice(cached.saved_at, false);
+    revalidateProductDetails(productId, cached);
+    return cached.data;
+}
+
+/**
+ * Refresh a cached product and re-render it if it changed
+ * @param {string} productId - Product ID
+ * @param {object} cached - Cached entry shown to the buyer
+ */
+async function revalidateProductDetails(productId, cached) {
+    try {
+        const product = await fetchProductDetails(productId);
+        if (!product) return;
+
+        await writeCachedResponse(`product:${productId}`, product);
+        hideCacheNotice();
+
+        if (JSON.stringify(product) === JSON.stringify(cached.data) || window.currentProductId !== productId) return;
+
+        // Keep the buyer's quantity across the re-render
+        const quantity = parseInt(document.getElementById('quantity-input').value) || 1;
+        window.currentProduct = product;
+        renderProductDetails(product);
+
+        const newQuantity = Math.max(window.minOrderQuantity || 1, quantity);
+        document.getElementById('quantity-input').value = newQuantity;
+        updatePricing(productId, newQuantity);
+        loadPriceTiers(productId, product);
+
+    } catch (error) {
+        // Only a network failure means offline; a server error is reported as such
+        console.error('❌ Error refreshing cached product:', error.message);
+        showCacheRefreshFailed(cached.saved_at, error);
+    }
+}
+
+/**
+ * Fetch pricing calculation from n8n price-check endpoint
+ * @param {string} productId - Product ID
+ * @param {number} quantity - Order quantity
+ * @param {object|null} delivery - Checkout delivery choice; freight and delivery time depend on it
+ */
+async function fetchPricingCalculation(productId, quantity, delivery = null) {
+    try {
+        if (!productId || !quantity || quantity < 1) {
+            throw new Error('Invalid product ID or quantity');
+        }
+
+        const data = await apiRequest('/webhook/price-check', {
+            query: {
+                product_id: productId,
+                quantity: quantity,
+                ...(delivery ? getPricingDeliveryQuery(delivery) : {})
+            },
+            timeoutMs: CONFIG.PRICING_TIMEOUT_MS
+        }) || {};
+
+        return {
+            final_price_kes: data.final_price_kes || 0,
+            breakdown: data.breakdown || {},
+            total_order_price: (data.final_price_kes || 0) * quantity,
+            // { min_days, max_days } for the quoted shipping method
+            delivery_estimate: data.delivery_estimate || null
+        };
+
+    } catch (error) {
+        console.error('❌ Error fetching pricing:', error.message);
+        throw error;
+    }
+}
+
+/**
+ * Initialize product detail page
+ */
+async function initializeProductDetail() {
+    const loadingState = document.getElementById('loading-state');
+    const productContainer = document.getElementById('product-detail-container');
+    const errorState = document.getElementById('error-state');
+
+    try {
+        // Get product ID from URL
+        const productId = getProductIdFromUrl();
+        if (!productId) {
+            throw new Error('No product ID found in URL');
+        }
+
+        // Fetch product details (cached copy first when available)
+        const product = await loadProductDetails(productId);
+        if (!product) {
+            throw new Error('Product not found');
+        }
+
+        // Store product data globally for use in event handlers
+        window.currentProduct = product;
+        window.currentProductId = productId;
+
+        // Render product details
+        renderProductDetails(product);
+
+        // Start from the shared quantity if the link has one, never below MOQ
+        const moq = window.minOrderQuantity || 1;
+        const initialQuantity = Math.max(moq, getQuantityFromUrl() || moq);
+        document.getElementById('quantity-input').value = initialQuantity;
+
+        // Fetch and render initial pricing
+        await updatePricing(productId, initialQuantity);
+
+        // Volume tiers load in the background
+        loadPriceTiers(productId, product);
+
+        // Show content, hide loading
+        loadingState.classList.add('hidden');
+        productContainer.classList.remove('hidden');
+
+    } catch (error) {
+        console.error('❌ Failed to initialize product detail:', error.message);
+        loadingState.classList.add('hidden');
+        errorState.classList.remove('hidden');
     }
 }
 
@@ -538,6 +2076,8 @@ function renderThumbnails(images) {
  * @param {number} quantity - Order quantity
  */
 async function updatePricing(productId, quantity) {
+    let estimate = null;
+
     try {
         // Validate quantity against MOQ
         const moq = window.minOrderQuantity || 1;
@@ -548,35 +2088,75 @@ async function updatePricing(productId, quantity) {
         }
 
         document.getElementById('moq-warning').classList.add('hidden');
+        updateProductUrl(quantity);
 
-        // Show loading state
-        document.getElementById('final-price-display').textContent = 'KES Calculating...';
+        // Ignore responses for quantities the buyer has since changed
+        const requestId = (window.pricingRequestId || 0) + 1;
+        window.pricingRequestId = requestId;
+
+        // Show an instant client-side estimate while the server confirms
+        estimate = estimateLandedCost(window.currentProduct, quantity);
+        if (estimate) {
+            displayPricing(estimate, quantity);
+            setPriceEstimateLabel('Estimate • confirming live price...');
+        } else {
+            document.getElementById('final-price-display').textContent = 'KES Calculating...';
+        }
 
         // Fetch pricing
         const pricing = await fetchPricingCalculation(productId, quantity);
+        if (requestId !== window.pricingRequestId) return;
 
-        // Update display
-        document.getElementById('final-price-display').textContent = `KES ${formatPrice(pricing.final_price_kes)}`;
-        document.getElementById('total-order-price').textContent = `KES ${formatPrice(pricing.total_order_price)}`;
-        document.getElementById('qty-display').textContent = quantity;
+        // Keep latest pricing so the cart can reuse it without a refetch
+        window.currentPricing = { ...pricing, quantity: quantity };
 
-        // Render price breakdown
-        renderPriceBreakdown(pricing.breakdown, pricing.final_price_kes);
+        displayPricing(pricing, quantity);
+        reconcilePriceEstimate(estimate, pricing);
 
     } catch (error) {
         console.error('❌ Error updating pricing:', error.message);
-        document.getElementById('final-price-display').textContent = 'KES Error';
+        if (estimate) {
+            setPriceEstimateLabel('Estimate • live price unavailable');
+        } else {
+            document.getElementById('final-price-display').textContent = 'KES Error';
+        }
     }
 }
 
 /**
- * Render price breakdown table
- * @param {object} breakdown - Price breakdown components
- * @param {number} total - Total price
+ * Update price displays, breakdown and tiers
+ * @param {object} pricing - Server pricing or client estimate
+ * @param {number} quantity - Order quantity
  */
-function renderPriceBreakdown(breakdown, total) {
-    const table = document.getElementById('price-breakdown-table');
-    table.innerHTML = '';
+function displayPricing(pricing, quantity) {
+    document.getElementById('final-price-display').textContent = formatMoney(pricing.final_price_kes);
+    document.getElementById('total-order-price').textContent = formatMoney(pricing.total_order_price);
+    document.getElementById('qty-display').textContent = quantity;
+
+    // Render price breakdown
+    renderPriceBreakdown(pricing.breakdown, pricing.final_price_kes);
+    renderPriceTiers(quantity);
+}
+
+/**
+ * Show or hide the label under the landed price
+ * @param {string|null} text - Label text, or null to hide
+ */
+function setPriceEstimateLabel(text) {
+    const label = document.getElementById('price-estimate-label');
+    if (!label) return;
+    label.textContent = text || '';
+    label.classList.toggle('hidden', !text);
+}
+
+/**
+ * Render price breakdown table
+ * @param {object} breakdown - Price breakdown components
+ * @param {number} total - Total price
+ */
+function renderPriceBreakdown(breakdown, total) {
+    const table = document.getElementById('price-breakdown-table');
+    table.innerHTML = '';
 
     if (!breakdown || Object.keys(breakdown).length === 0) {
         return;
@@ -599,14 +2179,14 @@ function renderPriceBreakdown(breakdown, total) {
             const row = document.createElement('tr');
             row.innerHTML = `
                 <td class="price-component-label">${comp.label}</td>
-                <td class="price-component-value">KES ${formatPrice(value)}</td>
+                <td class="price-component-value">${formatMoney(value)}</td>
                 <td class="price-component-percent">${percentage}%</td>
             `;
             table.appendChild(row);
         }
     });
 
-    document.getElementById('breakdown-total').textContent = `KES ${formatPrice(total)}`;
+    document.getElementById('breakdown-total').textContent = formatMoney(total);
 }
 
 /**
@@ -618,37 +2198,26 @@ async function downloadQuote() {
             throw new Error('Product ID not found');
         }
 
+        // Use the confirmed server price, not the (currency-formatted) display text
         const quantity = parseInt(document.getElementById('quantity-input').value);
-        const finalPrice = parseFloat(
-            document.getElementById('final-price-display').textContent.replace(/[^0-9.]/g, '')
-        );
+        const pricing = window.currentPricing && window.currentPricing.quantity === quantity
+            ? window.currentPricing
+            : await fetchPricingCalculation(window.currentProductId, quantity);
 
         // Call n8n quote generation endpoint
-        const response = await fetch(
-            `${CONFIG.API_BASE_URL}/webhook/generate-quote`,
-            {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'x-api-key': CONFIG.API_KEY
-                },
-                body: JSON.stringify({
-                    product_id: window.currentProductId,
-                    product_name: window.currentProduct.product_name,
-                    supplier_name: window.currentProduct.supplier_name,
-                    quantity: quantity,
-                    unit_price: finalPrice / quantity,
-                    final_price_kes: finalPrice,
-                    timestamp: new Date().toISOString()
-                })
-            }
-        );
-
-        if (!response.ok) {
-            throw new Error('Failed to generate quote');
-        }
-
-        const data = await response.json();
+        const data = await apiRequest('/webhook/generate-quote', {
+            method: 'POST',
+            body: {
+                product_id: window.currentProductId,
+                product_name: window.currentProduct.product_name,
+                supplier_name: window.currentProduct.supplier_name,
+                quantity: quantity,
+                unit_price: pricing.final_price_kes,
+                final_price_kes: pricing.total_order_price,
+                timestamp: new Date().toISOString()
+            },
+            timeoutMs: CONFIG.DOCUMENT_TIMEOUT_MS
+        }) || {};
 
         // Handle PDF download
         if (data.pdf_url) {
@@ -667,70 +2236,318 @@ async function downloadQuote() {
 
     } catch (error) {
         console.error('❌ Error downloading quote:', error.message);
-        alert('Failed to generate quote. Please try again.');
+        alert(getErrorMessage(error, 'Failed to generate quote. Please try again.'));
     }
 }
 
+// ========================================
+// LANDED COST ENGINE
+// ========================================
+
+// PRICING_RULES, calculateLandedCost() and estimateLandedCost() live in
+// js/landed-cost.js (no DOM access, so they can be unit tested in Node)
+
 /**
- * Request product sample
+ * Compare an estimate with the server price and flag large differences
+ * @param {object|null} estimate - Client estimate
+ * @param {object} pricing - Server pricing
+ * @returns {number|null} Relative difference, or null without an estimate
  */
-async function requestSample() {
-    try {
-        const response = await fetch(
-            `${CONFIG.API_BASE_URL}/webhook/request-sample`,
-            {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'x-api-key': CONFIG.API_KEY
-                },
-                body: JSON.stringify({
-                    product_id: window.currentProductId,
-                    product_name: window.currentProduct.product_name,
-                    timestamp: new Date().toISOString()
-                })
-            }
-        );
+function reconcilePriceEstimate(estimate, pricing) {
+    if (!estimate || !pricing.final_price_kes) {
+        setPriceEstimateLabel(null);
+        return null;
+    }
+
+    const difference = (pricing.final_price_kes - estimate.final_price_kes) / pricing.final_price_kes;
+
+    if (Math.abs(difference) > PRICING_RULES.RECONCILE_TOLERANCE) {
+        console.warn(`⚠ Landed cost estimate off by ${(difference * 100).toFixed(1)}%`, {
+            estimate: estimate.breakdown,
+            server: pricing.breakdown
+        });
+        setPriceEstimateLabel(`Live price confirmed • ${difference > 0 ? '+' : ''}${(difference * 100).toFixed(1)}% vs. estimate`);
+    } else {
+        setPriceEstimateLabel(null);
+    }
+
+    return difference;
+}
+
+// ========================================
+// VOLUME TIER PRICING
+// ========================================
+
+/**
+ * Get tier quantities: MOQ, 2×MOQ, 5×MOQ plus supplier-defined tiers
+ * @param {object} product - Product object
+ * @returns {array} Sorted unique quantities
+ */
+function getTierQuantities(product) {
+    const moq = product.moq || 1;
+    const quantities = [moq, moq * 2, moq * 5];
 
-        if (!response.ok) {
-            throw new Error('Failed to request sample');
+    // Supplier tiers: [{ min_quantity: 500 }] or plain numbers
+    (product.price_tiers || []).forEach(tier => {
+        const quantity = typeof tier === 'number' ? tier : parseInt(tier.min_quantity);
+        if (quantity >= moq) {
+            quantities.push(quantity);
         }
+    });
+
+    return [...new Set(quantities)].sort((a, b) => a - b);
+}
+
+/**
+ * Price every tier quantity and render the tier table
+ * @param {string} productId - Product ID
+ * @param {object} product - Product object
+ */
+async function loadPriceTiers(productId, product) {
+    try {
+        const quantities = getTierQuantities(product);
+        const results = await mapWithConcurrency(quantities, CONFIG.PRICING_CONCURRENCY,
+            quantity => fetchPricingCalculation(productId, quantity));
+
+        window.priceTiers = quantities.map((quantity, index) => ({
+            quantity: quantity,
+            unit_price: results[index].final_price_kes,
+            total: results[index].total_order_price
+        }));
 
-        alert('✅ Sample request sent! The supplier will contact you soon.');
+        const currentQuantity = parseInt(document.getElementById('quantity-input').value) || quantities[0];
+        renderPriceTiers(currentQuantity);
 
     } catch (error) {
-        console.error('❌ Error requesting sample:', error.message);
-        alert('Failed to request sample. Please try again.');
+        console.error('❌ Error loading price tiers:', error.message);
+        document.getElementById('price-tiers-section').classList.add('hidden');
+    }
+}
+
+/**
+ * Render tier table, highlighting the tier the quantity falls in
+ * @param {number} quantity - Current order quantity
+ */
+function renderPriceTiers(quantity) {
+    const tiers = window.priceTiers;
+    const table = document.getElementById('price-tier-table');
+    if (!tiers || tiers.length === 0 || !table) return;
+
+    table.innerHTML = '';
+
+    // Current tier: the largest tier quantity not above the order quantity
+    const currentTier = [...tiers].reverse().find(tier => tier.quantity <= quantity) || tiers[0];
+
+    tiers.forEach(tier => {
+        const row = document.createElement('tr');
+        row.className = `price-tier-row ${tier === currentTier ? 'current' : ''}`;
+        row.title = `Set quantity to ${tier.quantity}`;
+        row.innerHTML = `
+            <td class="price-component-label">${tier.quantity.toLocaleString('en-KE')}+ units${tier === currentTier ? ' <span class="tier-current-label">Your tier</span>' : ''}</td>
+            <td class="price-component-value">${formatMoney(tier.unit_price)}</td>
+            <td class="price-component-value">${formatMoney(tier.total)}</td>
+        `;
+        row.addEventListener('click', () => {
+            const input = document.getElementById('quantity-input');
+            input.value = tier.quantity;
+            input.dispatchEvent(new Event('change'));
+        });
+        table.appendChild(row);
+    });
+
+    renderTierSavingsHint(quantity, currentTier, tiers);
+    document.getElementById('price-tiers-section').classList.remove('hidden');
+}
+
+/**
+ * Show "buy N more to save KES X" for the next cheaper tier
+ * @param {number} quantity - Current order quantity
+ * @param {object} currentTier - Tier the quantity falls in
+ * @param {array} tiers - All tiers
+ */
+function renderTierSavingsHint(quantity, currentTier, tiers) {
+    const hint = document.getElementById('tier-savings-hint');
+    const currentUnitPrice = window.currentPricing && window.currentPricing.quantity === quantity
+        ? window.currentPricing.final_price_kes
+        : currentTier.unit_price;
+
+    const nextTier = tiers.find(tier => tier.quantity > quantity && tier.unit_price < currentUnitPrice);
+    if (!nextTier) {
+        hint.classList.add('hidden');
+        return;
     }
+
+    const moreUnits = nextTier.quantity - quantity;
+    const savingPerUnit = currentUnitPrice - nextTier.unit_price;
+    hint.textContent = `💡 Buy ${moreUnits.toLocaleString('en-KE')} more units to save ${formatMoney(savingPerUnit)} per unit (${formatMoney(savingPerUnit * nextTier.quantity)} on ${nextTier.quantity.toLocaleString('en-KE')} units).`;
+    hint.classList.remove('hidden');
 }
 
 // ========================================
 // PRODUCT DETAIL EVENT LISTENERS
 // ========================================
 
+/**
+ * Setup event listeners for product detail page
+ */
+function setupProductDetailEventListeners() {
+    // Quantity input change
+    document.getElementById('quantity-input').addEventListener('change', (e) => {
+        const quantity = parseInt(e.target.value) || 1;
+        const moq = window.minOrderQuantity || 1;
+
+        if (quantity < moq) {
+            e.target.value = moq;
+            updatePricing(window.currentProductId, moq);
+        } else {
+            updatePricing(window.currentProductId, quantity);
+        }
+    });
+
+    // Quantity increase/decrease buttons
+    document.getElementById('qty-increase')?.addEventListener('click', () => {
+        const input = document.getElementById('quantity-input');
+        input.value = parseInt(input.value) + 1;
+        input.dispatchEvent(new Event('change'));
+    });
+
+    document.getElementById('qty-decrease')?.addEventListener('click', () => {
+        const input = document.getElementById('quantity-input');
+        const moq = window.minOrderQuantity || 1;
+        const newValue = Math.max(moq, parseInt(input.value) - 1);
+        input.value = newValue;
+        input.dispatchEvent(new Event('change'));
+    });
+
+    // Download quote button
+    document.getElementById('download-quote-btn')?.addEventListener('click', downloadQuote);
+
+    // Add to cart button
+    document.getElementById('add-to-cart-btn')?.addEventListener('click', addToCart);
+
+    // Copy shareable link button
+    document.getElementById('copy-link-btn')?.addEventListener('click', copyProductLink);
+
+    // Request sample button and form
+    document.getElementById('request-sample-btn')?.addEventListener('click', openSampleModal);
+    document.getElementById('sample-form')?.addEventListener('submit', handleSampleSubmit);
+    document.getElementById('close-sample-modal-btn')?.addEventListener('click', closeSampleModal);
+    document.getElementById('cancel-sample-btn')?.addEventListener('click', closeSampleModal);
+    document.querySelector('#sample-modal .modal-overlay')?.addEventListener('click', closeSampleModal);
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') {
+            closeSampleModal();
+            closeMessagesPanel();
+        }
+    });
+
+    // Add to RFQ draft
+    document.getElementById('add-to-rfq-btn')?.addEventListener('click', addToRfq);
+
+    // Contact supplier: message thread for this product
+    document.getElementById('contact-supplier-btn')?.addEventListener('click', () => {
+        openMessageThread({
+            threadType: 'product',
+            threadRef: window.currentProductId,
+            title: window.currentProduct?.supplier_name || 'Supplier',
+            subtitle: window.currentProduct?.product_name || ''
+        });
+    });
+}
+
 // ========================================
 // AUTHENTICATION & LOGIN PAGE LOGIC
 // ========================================
 
 /**
- * Check if user is already logged in
+ * Check if user is logged in with a valid, unexpired token
  * @returns {string|null} User ID if logged in
  */
 function checkUserSession() {
-    return localStorage.getItem('user_id') || sessionStorage.getItem('user_id');
+    const userId = localStorage.getItem('user_id') || sessionStorage.getItem('user_id');
+    if (!userId) {
+        return null;
+    }
+
+    // Sessions without a live token (including pre-token sessions) are discarded
+    if (!getAuthToken()) {
+        clearUserSession();
+        return null;
+    }
+
+    return userId;
 }
 
 /**
  * Save user session
  * @param {string} userId - User ID
- * @param {object} userData - User data
+ * @param {object} userData - User data (never include the KRA PIN)
+ * @param {object} auth - Bearer token and expiry from /webhook/auth
  */
-function saveUserSession(userId, userData) {
+function saveUserSession(userId, userData, auth) {
     localStorage.setItem('user_id', userId);
     localStorage.setItem('user_data', JSON.stringify(userData));
+    localStorage.setItem('auth_token', auth.token);
+    localStorage.setItem('auth_expires_at', String(auth.expires_at));
     sessionStorage.setItem('user_id', userId);
 }
 
+/**
+ * Read token and expiry from an auth response
+ * @param {object} data - /webhook/auth response
+ * @returns {object} Token and expiry timestamp (ms)
+ */
+function parseAuthResponse(data) {
+    const token = data.token || data.access_token;
+    if (!token) {
+        throw new ValidationError('No session token received');
+    }
+
+    // Accept an absolute expiry or a lifetime in seconds
+    const expiresAt = data.expires_at
+        ? new Date(data.expires_at).getTime()
+        : Date.now() + (data.expires_in || 3600) * 1000;
+
+    return { token: token, expires_at: expiresAt };
+}
+
+/**
+ * Get the bearer token if it has not expired
+ * @returns {string|null} Token
+ */
+function getAuthToken() {
+    const token = localStorage.getItem('auth_token');
+    const expiresAt = parseInt(localStorage.getItem('auth_expires_at')) || 0;
+    if (!token || Date.now() >= expiresAt) {
+        return null;
+    }
+    return token;
+}
+
+/**
+ * End an expired or rejected session and send the user to login
+ */
+function handleSessionExpired() {
+    clearUserSession();
+    if (!document.getElementById('login-form')) {
+        redirectToLogin({ expired: 1 });
+    }
+}
+
+/**
+ * Log the user out when the token expires while the page is open
+ */
+function scheduleSessionExpiry() {
+    const expiresAt = parseInt(localStorage.getItem('auth_expires_at')) || 0;
+    if (!localStorage.getItem('auth_token') || !expiresAt) return;
+
+    // setTimeout overflows past ~24.8 days; such sessions are re-checked on next load
+    const remaining = expiresAt - Date.now();
+    if (remaining < 2147483647) {
+        setTimeout(handleSessionExpired, Math.max(0, remaining));
+    }
+}
+
 /**
  * Get user data from storage
  * @returns {object|null} User data
@@ -746,6 +2563,8 @@ function getUserData() {
 function clearUserSession() {
     localStorage.removeItem('user_id');
     localStorage.removeItem('user_data');
+    localStorage.removeItem('auth_token');
+    localStorage.removeItem('auth_expires_at');
     sessionStorage.removeItem('user_id');
 }
 
@@ -790,6 +2609,10 @@ function initializeLoginPage() {
 
     // Setup event listeners
     setupLoginEventListeners();
+
+    if (getUrlParam('expired')) {
+        showError('login', 'Your session has expired. Please log in again.');
+    }
 }
 
 /**
@@ -817,6 +2640,20 @@ function setupLoginEventListeners() {
         registerForm.addEventListener('submit', handleRegisterSubmit);
     }
 
+    // OTP verification step
+    document.getElementById('otp-form')?.addEventListener('submit', handleOtpSubmit);
+    document.getElementById('otp-resend-btn')?.addEventListener('click', handleOtpResend);
+    document.getElementById('otp-back-btn')?.addEventListener('click', () => {
+        if (otpState && otpState.action === 'register') {
+            switchToRegister();
+        } else {
+            switchToLogin();
+        }
+    });
+    document.getElementById('otp-code')?.addEventListener('input', (e) => {
+        e.target.value = e.target.value.replace(/[^0-9]/g, '').slice(0, 6);
+    });
+
     // Phone input formatting
     const loginPhone = document.getElementById('login-phone');
     const registerPhone = document.getElementById('register-phone');
@@ -841,6 +2678,7 @@ function setupLoginEventListeners() {
  * Switch to login form
  */
 function switchToLogin() {
+    resetOtpVerification();
     document.getElementById('login-tab').classList.add('active');
     document.getElementById('register-tab').classList.remove('active');
     document.getElementById('login-form').classList.add('active');
@@ -852,6 +2690,7 @@ function switchToLogin() {
  * Switch to register form
  */
 function switchToRegister() {
+    resetOtpVerification();
     document.getElementById('register-tab').classList.add('active');
     document.getElementById('login-tab').classList.remove('active');
     document.getElementById('register-form').classList.add('active');
@@ -909,56 +2748,35 @@ async function handleLoginSubmit(e) {
 
         // Send login request to n8n
         const fullPhone = `254${phone}`;
-        const response = await fetch(
-            `${CONFIG.API_BASE_URL}/webhook/auth`,
-            {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'x-api-key': CONFIG.API_KEY
-                },
-                body: JSON.stringify({
-                    action: 'login',
-                    phone_number: fullPhone,
-                    kra_pin: pin,
-                    timestamp: new Date().toISOString()
-                })
+        const data = await apiRequest('/webhook/auth', {
+            method: 'POST',
+            auth: false,
+            body: {
+                action: 'login',
+                phone_number: fullPhone,
+                kra_pin: pin,
+                timestamp: new Date().toISOString()
             }
-        );
-
-        if (!response.ok) {
-            throw new Error(`Auth error: ${response.status}`);
-        }
-
-        const data = await response.json();
+        });
 
         // Check if login was successful
-        if (!data.success) {
-            throw new Error(data.message || 'Login failed');
+        if (!data || !data.success) {
+            throw new ValidationError((data && data.message) || 'Login failed');
         }
 
-        // Save session
-        saveUserSession(data.user_id, {
-            phone: fullPhone,
-            business_name: data.business_name,
-            kra_pin: pin
-        });
-
-        console.log('✅ Login successful');
-
-        // Show success message
-        showAuthSuccess('Welcome back! Redirecting...');
-
-        // Redirect to marketplace
-        setTimeout(() => {
-            redirectToDashboard();
-        }, 1500);
+        // Credentials matched; prove phone ownership before creating the session
+        hideAuthOverlay();
+        document.getElementById('login-submit').disabled = false;
+        startOtpVerification('login', data, fullPhone);
 
     } catch (error) {
         console.error('❌ Login error:', error.message);
         document.getElementById('login-submit').disabled = false;
         hideAuthOverlay();
-        showError('login', error.message || 'Login failed. Please check your credentials.');
+        // A 401 here means the credentials did not match, not an expired session
+        showError('login', error instanceof AuthError
+            ? 'Invalid phone number or KRA PIN'
+            : getErrorMessage(error, 'Login failed. Please check your credentials.'));
     }
 }
 
@@ -1002,46 +2820,208 @@ async function handleRegisterSubmit(e) {
 
         // Send register request to n8n
         const fullPhone = `254${phone}`;
-        const response = await fetch(
-            `${CONFIG.API_BASE_URL}/webhook/auth`,
-            {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'x-api-key': CONFIG.API_KEY
-                },
-                body: JSON.stringify({
-                    action: 'register',
-                    business_name: businessName,
-                    phone_number: fullPhone,
-                    kra_pin: pin,
-                    timestamp: new Date().toISOString()
-                })
+        const data = await apiRequest('/webhook/auth', {
+            method: 'POST',
+            auth: false,
+            body: {
+                action: 'register',
+                business_name: businessName,
+                phone_number: fullPhone,
+                kra_pin: pin,
+                timestamp: new Date().toISOString()
             }
-        );
+        });
 
-        if (!response.ok) {
-            throw new Error(`Registration error: ${response.status}`);
+        // Check if registration was successful
+        if (!data || !data.success) {
+            throw new ValidationError((data && data.message) || 'Registration failed');
         }
 
-        const data = await response.json();
+        // Account created; verify the phone before creating the session
+        hideAuthOverlay();
+        document.getElementById('register-submit').disabled = false;
+        startOtpVerification('register', data, fullPhone, businessName);
 
-        // Check if registration was successful
-        if (!data.success) {
-            throw new Error(data.message || 'Registration failed');
+    } catch (error) {
+        console.error('❌ Registration error:', error.message);
+        document.getElementById('register-submit').disabled = false;
+        hideAuthOverlay();
+        showError('register', getErrorMessage(error, 'Registration failed. Please try again.'));
+    }
+}
+
+// ========================================
+// OTP PHONE VERIFICATION
+// ========================================
+
+/**
+ * Pending OTP verification (null when no code screen is open)
+ */
+let otpState = null;
+
+/**
+ * Show the code screen after the backend has sent an SMS code
+ * @param {string} action - 'login' or 'register'
+ * @param {object} data - /webhook/auth response
+ * @param {string} fullPhone - Phone number with 254 prefix
+ * @param {string} businessName - Business name (registration only)
+ */
+function startOtpVerification(action, data, fullPhone, businessName) {
+    if (!data.otp_session_id) {
+        throw new ValidationError('Verification code could not be sent. Please try again.');
+    }
+
+    resetOtpVerification();
+
+    otpState = {
+        action: action,
+        phone: fullPhone,
+        businessName: businessName || '',
+        sessionId: data.otp_session_id,
+        timerId: null
+    };
+    applyOtpChallenge(data);
+
+    // Show code screen in place of the login/register form
+    document.getElementById('login-form').classList.remove('active');
+    document.getElementById('register-form').classList.remove('active');
+    document.getElementById('otp-form').classList.add('active');
+    document.getElementById('otp-phone-display').textContent = `+${fullPhone}`;
+    document.getElementById('otp-code').value = '';
+    document.getElementById('otp-code').focus();
+
+    otpState.timerId = setInterval(updateOtpTimers, 1000);
+    updateOtpTimers();
+}
+
+/**
+ * Apply expiry, resend cooldown and attempt limit from a send/resend response
+ * @param {object} data - Backend response
+ */
+function applyOtpChallenge(data) {
+    const now = Date.now();
+    otpState.expiresAt = now + (data.expires_in || CONFIG.OTP_EXPIRY_S) * 1000;
+    otpState.resendAvailableAt = now + (data.resend_after || CONFIG.OTP_RESEND_COOLDOWN_S) * 1000;
+    otpState.attemptsLeft = data.max_attempts || CONFIG.OTP_MAX_ATTEMPTS;
+
+    // n8n decides the SMS channel from its own environment; only a dev
+    // instance with mock SMS enabled server-side includes the code
+    const mockHint = document.getElementById('otp-mock-hint');
+    if (data.mock_code) {
+        mockHint.textContent = `🧪 Mock SMS code: ${data.mock_code}`;
+        mockHint.classList.remove('hidden');
+    } else {
+        mockHint.classList.add('hidden');
+    }
+}
+
+/**
+ * Close the code screen and discard the pending verification
+ */
+function resetOtpVerification() {
+    if (otpState && otpState.timerId) {
+        clearInterval(otpState.timerId);
+    }
+    otpState = null;
+    document.getElementById('otp-form')?.classList.remove('active');
+    hideError('otp');
+}
+
+/**
+ * Format seconds as m:ss
+ * @param {number} seconds - Seconds
+ * @returns {string} Formatted countdown
+ */
+function formatCountdown(seconds) {
+    const minutes = Math.floor(seconds / 60);
+    const rest = seconds % 60;
+    return `${minutes}:${String(rest).padStart(2, '0')}`;
+}
+
+/**
+ * Refresh expiry countdown, resend cooldown and submit state
+ */
+function updateOtpTimers() {
+    if (!otpState) return;
+
+    const now = Date.now();
+    const expiryEl = document.getElementById('otp-expiry');
+    const submitBtn = document.getElementById('otp-submit');
+    const resendBtn = document.getElementById('otp-resend-btn');
+
+    const secondsToExpiry = Math.max(0, Math.ceil((otpState.expiresAt - now) / 1000));
+    const locked = otpState.attemptsLeft <= 0;
+
+    if (locked) {
+        expiryEl.textContent = 'Too many incorrect attempts. Request a new code.';
+    } else if (secondsToExpiry === 0) {
+        expiryEl.textContent = 'This code has expired. Request a new code.';
+    } else {
+        expiryEl.textContent = `Code expires in ${formatCountdown(secondsToExpiry)} • ${otpState.attemptsLeft} attempt${otpState.attemptsLeft === 1 ? '' : 's'} left`;
+    }
+    expiryEl.classList.toggle('text-red-600', locked || secondsToExpiry === 0);
+    submitBtn.disabled = locked || secondsToExpiry === 0;
+
+    const secondsToResend = Math.max(0, Math.ceil((otpState.resendAvailableAt - now) / 1000));
+    resendBtn.disabled = secondsToResend > 0;
+    resendBtn.textContent = secondsToResend > 0 ? `Resend code in ${secondsToResend}s` : 'Resend code';
+}
+
+/**
+ * Handle OTP code submission
+ * @param {event} e - Form event
+ */
+async function handleOtpSubmit(e) {
+    e.preventDefault();
+    if (!otpState) return;
+
+    const code = document.getElementById('otp-code').value.trim();
+    if (!/^[0-9]{6}$/.test(code)) {
+        showError('otp', 'Enter the 6-digit code from the SMS');
+        return;
+    }
+
+    if (Date.now() >= otpState.expiresAt) {
+        showError('otp', 'This code has expired. Request a new code.');
+        return;
+    }
+
+    const submitBtn = document.getElementById('otp-submit');
+
+    try {
+        submitBtn.disabled = true;
+        showAuthOverlay();
+
+        const data = await apiRequest(CONFIG.OTP_VERIFY_ENDPOINT, {
+            method: 'POST',
+            auth: false,
+            body: {
+                otp_session_id: otpState.sessionId,
+                phone_number: otpState.phone,
+                code: code,
+                timestamp: new Date().toISOString()
+            }
+        });
+
+        if (!data || !data.success) {
+            throw new ValidationError((data && data.message) || 'Incorrect code', { data: data });
         }
 
-        // Save session
+        // Phone verified: create the session
         saveUserSession(data.user_id, {
-            phone: fullPhone,
-            business_name: businessName,
-            kra_pin: pin
-        });
+            phone: otpState.phone,
+            business_name: data.business_name || otpState.businessName,
+            role: data.role || ROLES.BUYER
+        }, parseAuthResponse(data));
+
+        const isRegistration = otpState.action === 'register';
+        clearInterval(otpState.timerId);
+        otpState = null;
 
-        console.log('✅ Registration successful');
+        console.log(isRegistration ? '✅ Registration successful' : '✅ Login successful');
 
         // Show success message
-        showAuthSuccess('Account created! Redirecting...');
+        showAuthSuccess(isRegistration ? 'Account created! Redirecting...' : 'Welcome back! Redirecting...');
 
         // Redirect to marketplace
         setTimeout(() => {
@@ -1049,16 +3029,78 @@ async function handleRegisterSubmit(e) {
         }, 1500);
 
     } catch (error) {
-        console.error('❌ Registration error:', error.message);
-        document.getElementById('register-submit').disabled = false;
+        console.error('❌ OTP verification error:', error.message);
         hideAuthOverlay();
-        showError('register', error.message || 'Registration failed. Please try again.');
+        if (!otpState) return;
+
+        const details = error.data || {};
+        if (details.expired) {
+            otpState.expiresAt = Date.now();
+            showError('otp', 'This code has expired. Request a new code.');
+        } else if (error instanceof ValidationError || error instanceof AuthError) {
+            otpState.attemptsLeft = details.attempts_remaining !== undefined
+                ? details.attempts_remaining
+                : otpState.attemptsLeft - 1;
+            showError('otp', otpState.attemptsLeft > 0
+                ? `Incorrect code. ${otpState.attemptsLeft} attempt${otpState.attemptsLeft === 1 ? '' : 's'} left.`
+                : 'Too many incorrect attempts. Request a new code.');
+        } else if (error.status === 429) {
+            otpState.attemptsLeft = 0;
+            showError('otp', 'Too many incorrect attempts. Request a new code.');
+        } else {
+            showError('otp', getErrorMessage(error, 'Verification failed. Please try again.'));
+        }
+
+        document.getElementById('otp-code').value = '';
+        updateOtpTimers();
+    }
+}
+
+/**
+ * Request a new OTP code once the cooldown has passed
+ */
+async function handleOtpResend() {
+    if (!otpState || Date.now() < otpState.resendAvailableAt) return;
+
+    const resendBtn = document.getElementById('otp-resend-btn');
+
+    try {
+        resendBtn.disabled = true;
+
+        const data = await apiRequest(CONFIG.OTP_RESEND_ENDPOINT, {
+            method: 'POST',
+            auth: false,
+            body: {
+                otp_session_id: otpState.sessionId,
+                phone_number: otpState.phone,
+                timestamp: new Date().toISOString()
+            }
+        }) || {};
+
+        if (!otpState) return;
+
+        // A resend may start a new verification session
+        otpState.sessionId = data.otp_session_id || otpState.sessionId;
+        applyOtpChallenge(data);
+        hideError('otp');
+        document.getElementById('otp-code').value = '';
+        document.getElementById('otp-code').focus();
+
+        console.log('✅ OTP code resent');
+
+    } catch (error) {
+        console.error('❌ OTP resend error:', error.message);
+        showError('otp', error.status === 429
+            ? 'Too many code requests. Please wait a few minutes.'
+            : getErrorMessage(error, 'Could not resend the code. Please try again.'));
+    } finally {
+        updateOtpTimers();
     }
 }
 
 /**
  * Show error message
- * @param {string} form - Form type ('login' or 'register')
+ * @param {string} form - Form type ('login', 'register' or 'otp')
  * @param {string} message - Error message
  */
 function showError(form, message) {
@@ -1123,20 +3165,10 @@ function showAuthSuccess(message) {
 }
 
 /**
- * Redirect to dashboard/marketplace
+ * Redirect to the page the user was heading to, or the marketplace
  */
 function redirectToDashboard() {
-    window.location.href = 'index.html';
-}
-
-/**
- * Check if on login page and initialize
- */
-function setupAuthPage() {
-    // Only run if we have login form on page
-    if (document.getElementById('login-form')) {
-        initializeLoginPage();
-    }
+    window.location.href = getReturnUrl() || 'index.html';
 }
 
 /**
@@ -1165,493 +3197,4300 @@ function saveCartToSession(cart) {
     }
 }
 
+// ========================================
+// CART MANAGEMENT
+// ========================================
+
 /**
- * Initialize checkout page
+ * Build a cart line from a product and its priced quantity
+ * @param {object} product - Product object
+ * @param {number} quantity - Order quantity
+ * @param {object} pricing - Result of fetchPricingCalculation()
+ * @returns {object} Cart item
+ */
+function buildCartItem(product, quantity, pricing) {
+    const breakdown = pricing.breakdown || {};
+    return {
+        product_id: product.product_id || window.currentProductId,
+        product_name: product.product_name || 'Unknown Product',
+        supplier_name: product.supplier_name || 'Unknown Supplier',
+        image_url: product.image_url || '',
+        sku: product.sku || '',
+        moq: product.moq || 1,
+        // Read at checkout for the deposit option
+        payment_terms: product.payment_terms || '',
+        quantity: quantity,
+        final_price_kes: pricing.final_price_kes || 0,
+        // Per-unit cost components used by calculateTotals()
+        supplier_cost: breakdown.supplier_cost_kes || 0,
+        international_freight: breakdown.international_freight || 0,
+        local_delivery: breakdown.local_delivery || 0,
+        kra_duty: breakdown.kra_duty || 0,
+        vat: breakdown.vat || 0,
+        platform_fee: breakdown.platform_fee || 0,
+        markup: breakdown.markup || 0,
+        delivery_estimate: pricing.delivery_estimate || null,
+        added_at: new Date().toISOString(),
+        priced_at: new Date().toISOString()
+    };
+}
+
+/**
+ * Add the current product to the cart at the selected quantity
  */
-function initializeCheckout() {
+async function addToCart() {
+    const addButton = document.getElementById('add-to-cart-btn');
+
     try {
+        const product = window.currentProduct;
+        if (!product || !window.currentProductId) {
+            throw new Error('Product not loaded');
+        }
+
+        // Validate quantity against MOQ
+        const moq = window.minOrderQuantity || 1;
+        const quantity = parseInt(document.getElementById('quantity-input').value) || 0;
+        if (quantity < moq) {
+            document.getElementById('moq-warning').classList.remove('hidden');
+            return;
+        }
+
+        addButton.disabled = true;
+
         const cart = getCartFromSession();
+        const existing = cart.find(item => item.product_id === window.currentProductId);
 
-        if (!cart || cart.length === 0) {
-            showCheckoutError('Your cart is empty');
+        // A line bought at an accepted quote keeps its price and quantity
+        if (existing && existing.quote_id) {
+            showNotification('This product is in your cart at a quoted price. Remove it to order at list price.', 'error');
             return;
         }
 
-        // Render order items and calculate totals
-        renderOrderItems(cart);
-        calculateTotals(cart);
+        // Repeat adds merge into one line, priced at the combined quantity
+        const lineQuantity = existing ? existing.quantity + quantity : quantity;
+        const cachedPricing = window.currentPricing;
+        const pricing = cachedPricing && cachedPricing.quantity === lineQuantity
+            ? cachedPricing
+            : await fetchPricingCalculation(window.currentProductId, lineQuantity);
 
-        // Attach event listeners
-        setupCheckoutEventListeners();
+        const item = buildCartItem(product, lineQuantity, pricing);
 
-        console.log('✅ Checkout initialized with', cart.length, 'items');
+        if (existing) {
+            cart[cart.indexOf(existing)] = { ...item, added_at: existing.added_at };
+        } else {
+            cart.push(item);
+        }
+
+        saveCartToSession(cart);
+        updateCartBadge();
+
+        console.log(`✅ Added ${quantity} × ${item.product_name} to cart`);
+        showNotification(existing
+            ? `Cart updated: ${lineQuantity} units of ${item.product_name}`
+            : `${item.product_name} added to cart`);
 
     } catch (error) {
-        console.error('❌ Error initializing checkout:', error);
-        showCheckoutError('Failed to load checkout page');
+        console.error('❌ Error adding to cart:', error.message);
+        showNotification('Failed to add to cart. Please try again.', 'error');
+    } finally {
+        if (addButton) {
+            addButton.disabled = false;
+        }
     }
 }
 
 /**
- * Render order items in summary
+ * Re-price a single cart line at its current quantity
+ * @param {object} item - Cart item
+ * @param {object} delivery - Delivery choice (defaults to the one saved at checkout)
+ * @returns {Promise<object>} Cart item with fresh pricing
+ */
+async function repriceCartItem(item, delivery = getCheckoutDelivery()) {
+    // Quoted lines keep the accepted quote price (freight included). Once the quote
+    // expires the line is flagged, never silently moved to list price:
+    // the buyer confirms the list price or asks for a new quote (see useListPrice)
+    if (item.quote_id) {
+        return { ...item, quote_expired: isQuoteExpired(item.quote_expires_at) };
+    }
+
+    const pricing = await fetchPricingCalculation(item.product_id, item.quantity, delivery);
+    return { ...buildCartItem(item, item.quantity, pricing), added_at: item.added_at };
+}
+
+/**
+ * Check whether any cart line is held at a quote that has expired
  * @param {array} cart - Cart items
+ * @returns {boolean} True if a line needs a new quote or the buyer's confirmation
  */
-function renderOrderItems(cart) {
-    const container = document.getElementById('order-items');
-    if (!container) return;
+function hasExpiredQuotes(cart) {
+    return cart.some(item => item.quote_id && isQuoteExpired(item.quote_expires_at));
+}
+
+/**
+ * Re-price every cart line through the price-check endpoint.
+ * The endpoint prices one line per request, so large carts are re-priced
+ * a few lines at a time rather than all at once.
+ * @param {array} cart - Cart items
+ * @param {object} delivery - Delivery choice (defaults to the one saved at checkout)
+ * @returns {Promise<array>} Cart items with fresh pricing
+ */
+async function repriceCart(cart, delivery = getCheckoutDelivery()) {
+    return mapWithConcurrency(cart, CONFIG.PRICING_CONCURRENCY, item => repriceCartItem(item, delivery));
+}
+
+/**
+ * Initialize cart page
+ */
+async function initializeCartPage() {
+    const loadingState = document.getElementById('cart-loading');
+
+    try {
+        const cart = getCartFromSession();
+
+        if (cart.length === 0) {
+            loadingState.classList.add('hidden');
+            renderCartPage(cart);
+            return;
+        }
+
+        // Landed cost depends on quantity, so never show stored prices
+        const freshCart = await repriceCart(cart);
+        saveCartToSession(freshCart);
+
+        loadingState.classList.add('hidden');
+        renderCartPage(freshCart);
+
+        console.log('✅ Cart loaded with', freshCart.length, 'items');
+
+    } catch (error) {
+        console.error('❌ Error loading cart:', error.message);
+        loadingState.classList.add('hidden');
+        renderCartPage(getCartFromSession());
+        showNotification('Could not refresh prices. Please reload the page.', 'error');
+    }
+}
+
+/**
+ * Render cart lines and summary
+ * @param {array} cart - Cart items
+ */
+function renderCartPage(cart) {
+    const container = document.getElementById('cart-items');
+    const cartContainer = document.getElementById('cart-container');
+    const emptyCartState = document.getElementById('cart-empty-state');
+
+    updateCartBadge();
+
+    if (cart.length === 0) {
+        cartContainer.classList.add('hidden');
+        emptyCartState.classList.remove('hidden');
+        return;
+    }
 
     container.innerHTML = '';
+    let totalUnits = 0;
+    let total = 0;
 
-    cart.forEach((item, index) => {
-        const itemTotal = (item.final_price_kes || 0) * (item.quantity || 1);
-        
-        const itemElement = document.createElement('div');
-        itemElement.className = 'order-item';
-        itemElement.innerHTML = `
+    cart.forEach(item => {
+        const lineTotal = (item.final_price_kes || 0) * (item.quantity || 1);
+        totalUnits += item.quantity || 1;
+        total += lineTotal;
+
+        const line = document.createElement('div');
+        line.className = 'cart-line';
+        line.dataset.productId = item.product_id;
+        line.innerHTML = `
             <img 
                 src="${escapeHtml(item.image_url || '')}" 
                 alt="Product" 
                 class="order-item-image"
                 onerror="this.src='https://images.unsplash.com/photo-1505740420928-5e560c06d30e?w=100&h=100&fit=crop'"
             >
-            <div class="order-item-details">
+            <div class="flex-1">
                 <div class="order-item-name">${escapeHtml(item.product_name || 'Unknown Product')}</div>
                 <div class="order-item-supplier">${escapeHtml(item.supplier_name || 'Unknown Supplier')}</div>
-                <div class="text-xs text-gray-600 mb-1">Qty: <span class="font-semibold">${item.quantity || 1} units</span></div>
-                <div class="order-item-price">KES ${formatPrice((item.final_price_kes || 0) * (item.quantity || 1))}</div>
+                <div class="text-xs text-gray-600 mb-2">${formatMoney(item.final_price_kes || 0)} per unit • MOQ ${item.moq || 1}</div>
+                ${item.quote_id && !item.quote_expired ? `<div class="text-xs text-purple-700 font-semibold mb-2">🔒 Quoted price (${escapeHtml(item.quote_id)})${item.quote_expires_at ? ` • valid until ${formatDate(item.quote_expires_at)}` : ''}</div>` : ''}
+                ${item.quote_expired ? `
+                    <div class="cart-quote-expired text-xs text-orange-700 font-semibold mb-2">
+                        ⚠ Quote ${escapeHtml(item.quote_id)} expired on ${formatDate(item.quote_expires_at)}.
+                        <button class="cart-list-price-btn underline hover:text-orange-800">Use today's list price</button>
+                        or
+                        <a href="product-detail.html?product_id=${encodeURIComponent(item.product_id)}&qty=${item.quantity || 1}" class="underline hover:text-orange-800">request a new quote</a>
+                    </div>
+                ` : ''}
+                <div class="flex items-center gap-2">
+                    <button class="cart-qty-decrease px-3 py-1 border border-gray-300 rounded-lg hover:bg-gray-100 font-semibold" ${item.quote_id ? 'disabled' : ''}>−</button>
+                    <input 
+                        type="number" 
+                        class="cart-qty-input w-24 px-2 py-1 border border-gray-300 rounded-lg text-center focus:outline-none focus:ring-2 focus:ring-blue-500" 
+                        value="${item.quantity || 1}" 
+                        min="${item.moq || 1}"
+                        ${item.quote_id ? 'disabled' : ''}
+                    >
+                    <button class="cart-qty-increase px-3 py-1 border border-gray-300 rounded-lg hover:bg-gray-100 font-semibold" ${item.quote_id ? 'disabled' : ''}>+</button>
+                    <button class="cart-remove-btn ml-auto text-sm text-red-600 hover:text-red-700 font-semibold">Remove</button>
+                </div>
+                <p class="cart-moq-warning text-xs text-orange-600 font-semibold mt-1 hidden">⚠ Minimum order: ${item.moq || 1} units</p>
             </div>
+            <div class="order-item-price whitespace-nowrap">${formatMoney(lineTotal)}</div>
         `;
-        container.appendChild(itemElement);
+
+        const qtyInput = line.querySelector('.cart-qty-input');
+        qtyInput.addEventListener('change', () => {
+            updateCartItemQuantity(item.product_id, parseInt(qtyInput.value) || 0);
+        });
+        line.querySelector('.cart-qty-increase').addEventListener('click', () => {
+            updateCartItemQuantity(item.product_id, (item.quantity || 1) + 1);
+        });
+        line.querySelector('.cart-qty-decrease').addEventListener('click', () => {
+            updateCartItemQuantity(item.product_id, (item.quantity || 1) - 1);
+        });
+        line.querySelector('.cart-remove-btn').addEventListener('click', () => {
+            removeCartItem(item.product_id);
+        });
+        line.querySelector('.cart-list-price-btn')?.addEventListener('click', () => {
+            useListPrice(item.product_id);
+        });
+
+        container.appendChild(line);
     });
+
+    document.getElementById('cart-units-display').textContent = `${totalUnits} units`;
+    document.getElementById('cart-total-display').textContent = formatMoney(total);
+
+    // Expired quotes must be re-priced or re-quoted before checkout
+    const checkoutBlocked = hasExpiredQuotes(cart);
+    const proceedButton = document.getElementById('proceed-checkout-btn');
+    proceedButton?.classList.toggle('disabled', checkoutBlocked);
+    proceedButton?.setAttribute('aria-disabled', String(checkoutBlocked));
+
+    emptyCartState.classList.add('hidden');
+    cartContainer.classList.remove('hidden');
 }
 
 /**
- * Calculate and display order totals
- * @param {array} cart - Cart items
+ * Change the quantity of a cart line and re-price it
+ * @param {string} productId - Product ID
+ * @param {number} quantity - New quantity
  */
-function calculateTotals(cart) {
-    let subtotal = 0;
-    let shipping = 0;
-    let taxes = 0;
-    let fees = 0;
+async function updateCartItemQuantity(productId, quantity) {
+    const cart = getCartFromSession();
+    const index = cart.findIndex(item => item.product_id === productId);
+    if (index === -1) return;
+
+    const line = document.querySelector(`.cart-line[data-product-id="${CSS.escape(productId)}"]`);
+
+    // Quoted quantities are fixed by the accepted quote
+    if (cart[index].quote_id) return;
+
+    // Validate quantity against MOQ
+    const moq = cart[index].moq || 1;
+    if (quantity < moq) {
+        line?.querySelector('.cart-moq-warning').classList.remove('hidden');
+        const input = line?.querySelector('.cart-qty-input');
+        if (input) input.value = cart[index].quantity;
+        return;
+    }
 
-    // Calculate totals from cart items
-    cart.forEach(item => {
-        const itemTotal = (item.final_price_kes || 0) * (item.quantity || 1);
-        
-        // Break down components (estimate based on price)
-        subtotal += (item.supplier_cost || 0) * (item.quantity || 1);
-        shipping += (item.international_freight || 0) * (item.quantity || 1);
-        taxes += (item.kra_duty || 0) * (item.quantity || 1);
-        taxes += (item.vat || 0) * (item.quantity || 1);
-        fees += (item.platform_fee || 0) * (item.quantity || 1);
-    });
+    try {
+        line?.classList.add('updating');
+        cart[index] = await repriceCartItem({ ...cart[index], quantity: quantity });
+        saveCartToSession(cart);
+        renderCartPage(cart);
+
+    } catch (error) {
+        console.error('❌ Error updating cart quantity:', error.message);
+        line?.classList.remove('updating');
+        showNotification('Failed to update price. Please try again.', 'error');
+        renderCartPage(getCartFromSession());
+    }
+}
 
-    const total = subtotal + shipping + taxes + fees;
+/**
+ * Move a line with an expired quote to today's list price, after the buyer confirms
+ * @param {string} productId - Product ID
+ */
+async function useListPrice(productId) {
+    const cart = getCartFromSession();
+    const index = cart.findIndex(item => item.product_id === productId);
+    if (index === -1) return;
 
-    // Update display
-    document.getElementById('subtotal-display').textContent = `KES ${formatPrice(subtotal)}`;
-    document.getElementById('shipping-display').textContent = `KES ${formatPrice(shipping)}`;
-    document.getElementById('taxes-display').textContent = `KES ${formatPrice(taxes)}`;
-    document.getElementById('fee-display').textContent = `KES ${formatPrice(fees)}`;
-    document.getElementById('total-display').textContent = `KES ${formatPrice(total)}`;
-    document.getElementById('pay-amount').textContent = formatPrice(total);
+    const item = cart[index];
+    if (!confirm(`Quote ${item.quote_id} has expired. Re-price ${item.quantity} units of ${item.product_name} at today's list price?`)) {
+        return;
+    }
 
-    // Store total for payment
-    window.orderTotal = total;
-    window.cartItems = cart;
+    const line = document.querySelector(`.cart-line[data-product-id="${CSS.escape(productId)}"]`);
+
+    try {
+        line?.classList.add('updating');
+        // buildCartItem() does not copy the quote fields, so the line leaves the quote
+        cart[index] = await repriceCartItem({ ...item, quote_id: null, quote_expires_at: null, quote_expired: false });
+        saveCartToSession(cart);
+        renderCartPage(cart);
+
+        console.log(`✅ ${item.product_name} moved from expired quote ${item.quote_id} to list price`);
+
+    } catch (error) {
+        console.error('❌ Error re-pricing expired quote line:', error.message);
+        line?.classList.remove('updating');
+        showNotification('Failed to update price. Please try again.', 'error');
+    }
 }
 
 /**
- * Validate phone number format
- * @param {string} phone - Phone number (without +254)
- * @returns {boolean} Valid format
+ * Remove a line from the cart
+ * @param {string} productId - Product ID
  */
-function validatePhoneNumber(phone) {
-    const phoneRegex = /^[0-9]{9}$/;
-    return phoneRegex.test(phone);
+function removeCartItem(productId) {
+    const cart = getCartFromSession().filter(item => item.product_id !== productId);
+    saveCartToSession(cart);
+    renderCartPage(cart);
 }
 
 /**
- * Format phone number for M-Pesa (add country code)
- * @param {string} phone - Phone number without country code
- * @returns {string} Full phone number with +254
+ * Update header cart badge with the number of cart lines
  */
-function formatPhoneNumber(phone) {
-    return `254${phone}`;
+function updateCartBadge() {
+    const badge = document.getElementById('cart-badge');
+    if (!badge) return;
+
+    const count = getCartFromSession().length;
+    badge.textContent = count;
+    badge.classList.toggle('hidden', count === 0);
 }
 
+// ========================================
+// CHECKOUT PAGE LOGIC
+// ========================================
+
 /**
- * Initiate M-Pesa STK Push payment
+ * Initialize checkout page
  */
-async function initiatePayment(event) {
-    event.preventDefault();
-
+async function initializeCheckout() {
     try {
-        // Validate form
-        const phoneInput = document.getElementById('phone-input');
-        const termsCheckbox = document.getElementById('terms-checkbox');
-        const payButton = document.getElementById('pay-button');
-
-        const phone = phoneInput.value.trim();
-        
-        if (!validatePhoneNumber(phone)) {
-            showPhoneError('Please enter a valid 9-digit phone number');
+        // Checkout and payment are online-only (never served from the offline cache)
+        if (!navigator.onLine) {
+            showCheckoutError('You are offline. Checkout needs a connection to confirm prices and take payment.');
             return;
         }
 
-        if (!termsCheckbox.checked) {
-            alert('Please agree to the terms and conditions');
+        const storedCart = getCartFromSession();
+        const pendingPayment = getPendingPayment();
+        const settleOrderId = getUrlParam('settle');
+
+        // Resume a balance payment still in progress on the order it was started for
+        if (pendingPayment && isPaymentActive(pendingPayment) && pendingPayment.plan?.type === 'balance') {
+            if (await initializeBalancePayment(pendingPayment.plan.order_id)) {
+                setupCheckoutEventListeners();
+                resumePayment(pendingPayment);
+            }
             return;
         }
 
-        // Disable button to prevent double-click
-        payButton.disabled = true;
-        payButton.textContent = '💰 Processing...';
-
-        // Show payment overlay
-        showPaymentOverlay();
-
-        // Format phone number with country code
-        const fullPhone = formatPhoneNumber(phone);
-
-        // Prepare payload
-        const payload = {
-            user_id: getUserId(),
-            phone_number: fullPhone,
-            amount: Math.round(window.orderTotal),
-            cart_items: window.cartItems.map(item => ({
-                product_id: item.product_id,
-                product_name: item.product_name,
-                quantity: item.quantity,
-                unit_price: item.final_price_kes,
-                total: (item.final_price_kes || 0) * (item.quantity || 1)
-            })),
-            timestamp: new Date().toISOString()
-        };
+        // Resume a payment still in progress (reload or closed tab) on the cart it was started with
+        if (pendingPayment && isPaymentActive(pendingPayment) && storedCart.length > 0) {
+            renderOrderItems(storedCart);
+            calculateTotals(storedCart);
+            renderDeliveryEstimate(storedCart);
+            loadSavedAddresses().then(renderDeliveryStep);
+            setupCheckoutEventListeners();
+            resumePayment(pendingPayment);
+            return;
+        }
+        clearPendingPayment();
 
-        // Send to n8n checkout endpoint
-        const response = await fetch(
-            `${CONFIG.API_BASE_URL}/webhook/checkout`,
-            {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'x-api-key': CONFIG.API_KEY
-                },
-                body: JSON.stringify(payload)
+        // Paying off a deposit balance or credit order from the dashboard
+        if (settleOrderId) {
+            if (await initializeBalancePayment(settleOrderId)) {
+                setupCheckoutEventListeners();
             }
-        );
+            return;
+        }
 
-        if (!response.ok) {
-            throw new Error(`Checkout API Error: ${response.status}`);
+        if (!storedCart || storedCart.length === 0) {
+            showCheckoutError('Your cart is empty');
+            return;
         }
 
-        const data = await response.json();
+        // Freight and delivery time depend on where the goods go
+        await loadSavedAddresses();
+        renderDeliveryStep();
+
+        // Totals must come from fresh prices so the invoice matches the quote
+        let cart;
+        try {
+            cart = await repriceCart(storedCart, getCheckoutDelivery());
+        } catch (error) {
+            console.error('❌ Error refreshing cart prices:', error.message);
+            showCheckoutError('Could not confirm current prices. Please try again.');
+            return;
+        }
+        saveCartToSession(cart);
 
-        if (!data.checkout_request_id) {
-            throw new Error('No checkout request ID received');
+        // Expired quotes are never paid at a price the buyer has not confirmed
+        if (hasExpiredQuotes(cart)) {
+            showCheckoutError('A quoted price in your cart has expired. Open your cart to use the list price or request a new quote.');
+            return;
         }
 
-        // Store checkout request ID for polling
-        window.checkoutRequestId = data.checkout_request_id;
-        window.transactionPhone = fullPhone;
+        // Render order items and calculate totals
+        renderOrderItems(cart);
+        calculateTotals(cart);
+        renderDeliveryEstimate(cart);
 
-        console.log('✅ STK Push initiated. Request ID:', data.checkout_request_id);
+        // Attach event listeners
+        setupCheckoutEventListeners();
+        loadCheckoutCreditAccount();
 
-        // Start polling for payment status
-        pollPaymentStatus(data.checkout_request_id);
+        console.log('✅ Checkout initialized with', cart.length, 'items');
 
     } catch (error) {
-        console.error('❌ Error initiating payment:', error.message);
-        hidePaymentOverlay();
-        document.getElementById('pay-button').disabled = false;
-        document.getElementById('pay-button').textContent = '💰 Pay KES ' + document.getElementById('pay-amount').textContent;
-        alert('Failed to initiate payment. Please try again.');
+        console.error('❌ Error initializing checkout:', error);
+        showCheckoutError('Failed to load checkout page');
     }
 }
 
 /**
- * Poll payment status from n8n
- * @param {string} checkoutRequestId - M-Pesa checkout request ID
+ * Render order items in summary
+ * @param {array} cart - Cart items
  */
-async function pollPaymentStatus(checkoutRequestId) {
-    const maxAttempts = 30;
-    const pollInterval = 2000; // 2 seconds
-    let attempts = 0;
-
-    const pollTimer = setInterval(async () => {
-        attempts++;
+function renderOrderItems(cart) {
+    const container = document.getElementById('order-items');
+    if (!container) return;
 
-        try {
-            // Query payment status
-            const response = await fetch(
-                `${CONFIG.API_BASE_URL}/webhook/payment-status?request_id=${checkoutRequestId}`,
-                {
-                    method: 'GET',
-                    headers: {
-                        'Content-Type': 'application/json',
-                        'x-api-key': CONFIG.API_KEY
-                    }
-                }
-            );
+    container.innerHTML = '';
 
-            if (!response.ok) {
-                throw new Error(`Status check failed: ${response.status}`);
-            }
+    cart.forEach((item, index) => {
+        const itemTotal = (item.final_price_kes || 0) * (item.quantity || 1);
+        
+        const itemElement = document.createElement('div');
+        itemElement.className = 'order-item';
+        itemElement.innerHTML = `
+            <img 
+                src="${escapeHtml(item.image_url || '')}" 
+                alt="Product" 
+                class="order-item-image"
+                onerror="this.src='https://images.unsplash.com/photo-1505740420928-5e560c06d30e?w=100&h=100&fit=crop'"
+            >
+            <div class="order-item-details">
+                <div class="order-item-name">${escapeHtml(item.product_name || 'Unknown Product')}</div>
+                <div class="order-item-supplier">${escapeHtml(item.supplier_name || 'Unknown Supplier')}</div>
+                <div class="text-xs text-gray-600 mb-1">Qty: <span class="font-semibold">${item.quantity || 1} units</span></div>
+                <div class="order-item-price">${formatMoney((item.final_price_kes || 0) * (item.quantity || 1))}</div>
+            </div>
+        `;
+        container.appendChild(itemElement);
+    });
+}
 
-            const data = await response.json();
-
-            // Check payment status
-            if (data.status === 'SUCCESS') {
-                clearInterval(pollTimer);
-                handlePaymentSuccess(data);
-                return;
-            } else if (data.status === 'FAILED') {
-                clearInterval(pollTimer);
-                handlePaymentFailure(data.error || 'Payment was declined');
-                return;
-            } else if (data.status === 'CANCELLED') {
-                clearInterval(pollTimer);
-                handlePaymentFailure('Payment was cancelled');
-                return;
-            }
+/**
+ * Sum per-unit cost components across order lines
+ * @param {array} items - Cart or order items with per-unit breakdown fields
+ * @returns {object} Totals: subtotal, shipping, duty, vat, taxes, fees, inclusive, total
+ */
+function summarizeCostComponents(items) {
+    const totals = { subtotal: 0, shipping: 0, duty: 0, vat: 0, taxes: 0, fees: 0, inclusive: 0, total: 0 };
 
-            // Update countdown
-            const timeLeft = Math.max(0, maxAttempts - attempts);
-            document.getElementById('countdown-timer').textContent = 
-                `Waiting... (${timeLeft}s remaining)`;
+    items.forEach(item => {
+        const quantity = item.quantity || 1;
 
-        } catch (error) {
-            console.error('❌ Error polling payment status:', error.message);
+        // All-inclusive quoted lines have no breakdown to split
+        if (item.all_inclusive) {
+            totals.inclusive += (item.final_price_kes ?? item.unit_price ?? 0) * quantity;
+            return;
         }
 
-        // Stop polling after max attempts
-        if (attempts >= maxAttempts) {
-            clearInterval(pollTimer);
-            handlePaymentFailure('Payment confirmation timeout. Please check your M-Pesa inbox.');
-        }
+        // Margin is part of the quoted goods price
+        totals.subtotal += ((item.supplier_cost || 0) + (item.markup || 0)) * quantity;
+        totals.shipping += ((item.international_freight || 0) + (item.local_delivery || 0)) * quantity;
+        totals.duty += (item.kra_duty || 0) * quantity;
+        totals.vat += (item.vat || 0) * quantity;
+        totals.fees += (item.platform_fee || 0) * quantity;
+    });
 
-    }, pollInterval);
+    totals.taxes = totals.duty + totals.vat;
+    totals.total = totals.subtotal + totals.shipping + totals.taxes + totals.fees + totals.inclusive;
+    return totals;
 }
 
 /**
- * Handle successful payment
- * @param {object} data - Payment response data
+ * Calculate and display order totals
+ * @param {array} cart - Cart items
  */
-async function handlePaymentSuccess(data) {
-    try {
-        console.log('✅ Payment successful!', data);
+function calculateTotals(cart) {
+    const { subtotal, shipping, taxes, fees, inclusive, total } = summarizeCostComponents(cart);
 
-        // Clear cart
-        sessionStorage.removeItem('cart');
-        localStorage.removeItem('cart');
+    // Update display
+    document.getElementById('inclusive-row')?.classList.toggle('hidden', inclusive === 0);
+    const inclusiveDisplay = document.getElementById('inclusive-display');
+    if (inclusiveDisplay) inclusiveDisplay.textContent = formatMoney(inclusive);
+    document.getElementById('subtotal-display').textContent = formatMoney(subtotal);
+    document.getElementById('shipping-display').textContent = formatMoney(shipping);
+    document.getElementById('taxes-display').textContent = formatMoney(taxes);
+    document.getElementById('fee-display').textContent = formatMoney(fees);
+    document.getElementById('total-display').textContent = formatMoney(total);
+
+    // M-Pesa always settles in KES, whatever the display currency
+    document.getElementById('settlement-note')?.classList.toggle('hidden', getDisplayCurrency() === 'KES');
 
-        // Hide overlay
-        hidePaymentOverlay();
+    // Store total for payment
+    window.orderTotal = total;
+    window.cartItems = cart;
 
-        // Show success message
-        const successMsg = document.createElement('div');
-        successMsg.className = 'fixed top-4 right-4 bg-green-500 text-white px-6 py-4 rounded-lg shadow-lg z-50 flex items-center gap-3';
-        successMsg.innerHTML = `
-            <span>✅</span>
-            <span>Payment successful! Order confirmed.</span>
-        `;
+    renderPaymentPlan();
+}
+
+// ========================================
+// PAYMENT PLANS (DEPOSIT, SPLIT PUSHES, PAYBILL)
+// ========================================
+
+// getDepositPercent(), splitMpesaAmount() and getPaymentPlan() live in
+// js/payment-terms.js (no DOM access, so they can be unit tested in Node)
+
+/**
+ * @returns {string} Selected payment plan type
+ */
+function getSelectedPaymentPlanType() {
+    return document.querySelector('input[name="payment-plan"]:checked')?.value || 'full';
+}
+
+/**
+ * @returns {object} Payment plan for the cart (or the order balance) on the checkout page
+ */
+function getCheckoutPaymentPlan() {
+    if (window.balancePlan) {
+        return window.balancePlan;
+    }
+    return getPaymentPlan(window.cartItems || [], window.orderTotal || 0, getSelectedPaymentPlanType());
+}
+
+/**
+ * Show the deposit option, the amount due now and how it will be split
+ */
+function renderPaymentPlan() {
+    const depositOption = document.getElementById('deposit-plan-option');
+    if (!depositOption) return;
+
+    // Paying off an existing order: the plan is fixed
+    document.getElementById('payment-plan-options').classList.toggle('hidden', Boolean(window.balancePlan));
+    if (window.balancePlan) {
+        document.getElementById('total-display').textContent = formatMoney(window.balancePlan.due_now);
+    } else {
+        renderCreditOption();
+    }
+
+    const deposit = getPaymentPlan(window.cartItems || [], window.orderTotal || 0, 'deposit');
+    const hasDeposit = deposit.balance > 0;
+    depositOption.classList.toggle('hidden', !hasDeposit);
+    document.getElementById('deposit-plan-label').textContent = hasDeposit
+        ? `Pay deposit: KES ${formatPrice(deposit.due_now)} now, KES ${formatPrice(deposit.balance)} later`
+        : '';
+    if (!hasDeposit) {
+        document.querySelector('input[name="payment-plan"][value="full"]').checked = true;
+    }
+
+    const plan = getCheckoutPaymentPlan();
+    const payButton = document.getElementById('pay-button');
+    if (!payButton.disabled) {
+        payButton.textContent = getPayButtonLabel(plan);
+    }
+
+    // No M-Pesa prompt for orders placed on account
+    document.getElementById('phone-input').required = plan.type !== 'credit';
+
+    const summary = document.getElementById('payment-plan-summary');
+    if (plan.type === 'credit') {
+        const account = window.creditAccount;
+        summary.textContent = `KES ${formatPrice(plan.order_total)} due on ${formatDate(plan.due_date)} (${plan.term_days} days). Available credit: KES ${formatPrice(account.available_credit)} of KES ${formatPrice(account.credit_limit)}.`;
+    } else {
+        summary.textContent = plan.instalments.length > 1
+            ? `M-Pesa allows up to KES ${formatPrice(PAYMENT_RULES.MPESA_MAX_TRANSACTION_KES)} per transaction, so you will get ${plan.instalments.length} prompts: ${plan.instalments.map(amount => `KES ${formatPrice(amount)}`).join(' + ')}.`
+            : '';
+    }
+
+    renderPaybillDetails(plan);
+}
+
+/**
+ * Pay button text for a plan
+ * @param {object} plan - Payment plan
+ * @returns {string} Label
+ */
+function getPayButtonLabel(plan) {
+    return plan.type === 'credit'
+        ? '🧾 Place Order on Account'
+        : `💰 Pay KES ${formatPrice(plan.due_now)}`;
+}
+
+/**
+ * Fill in the Lipa Na M-Pesa Paybill instructions for the plan
+ * @param {object} plan - Payment plan
+ */
+function renderPaybillDetails(plan) {
+    const section = document.getElementById('paybill-section');
+    if (!section) return;
+
+    const available = Boolean(CONFIG.MPESA_PAYBILL_NUMBER) && plan.type !== 'credit';
+    section.classList.toggle('hidden', !available);
+    if (!available) return;
+
+    document.getElementById('paybill-number').textContent = CONFIG.MPESA_PAYBILL_NUMBER;
+    // The account number is the order reference, so the payment is matched to this cart
+    document.getElementById('paybill-account').textContent = plan.client_order_ref || getClientOrderRef(window.cartItems, plan.order_total);
+    document.getElementById('paybill-amount').textContent = formatPrice(plan.due_now);
+
+    const splitNote = document.getElementById('paybill-split-note');
+    splitNote.classList.toggle('hidden', plan.instalments.length < 2);
+    splitNote.textContent = `Paybill also takes up to KES ${formatPrice(PAYMENT_RULES.MPESA_MAX_TRANSACTION_KES)} per transaction. Pay in ${plan.instalments.length} transactions to the same account number and enter every confirmation code.`;
+}
+
+/**
+ * Confirm a manual Paybill payment with its M-Pesa confirmation code(s)
+ */
+async function confirmPaybillPayment() {
+    const button = document.getElementById('paybill-confirm-btn');
+    const receipts = document.getElementById('paybill-receipts').value
+        .toUpperCase()
+        .split(/[\s,]+/)
+        .filter(Boolean);
+
+    if (receipts.length === 0 || receipts.some(code => !/^[A-Z0-9]{10}$/.test(code))) {
+        showNotification('Enter the 10-character M-Pesa confirmation code from each Paybill payment.', 'error');
+        return;
+    }
+
+    const deliveryError = validateDeliveryStep();
+    if (deliveryError) {
+        showDeliveryError(deliveryError);
+        return;
+    }
+    if (!document.getElementById('terms-checkbox').checked) {
+        alert('Please agree to the terms and conditions');
+        return;
+    }
+
+    // An STK push for this cart is still running
+    const existing = getPendingPayment();
+    if (existing && isPaymentActive(existing)) {
+        resumePayment(existing);
+        return;
+    }
+
+    button.disabled = true;
+    button.textContent = 'Confirming...';
+
+    try {
+        const plan = getCheckoutPaymentPlan();
+        const payload = {
+            ...buildCheckoutPayload(null, plan),
+            amount: plan.due_now,
+            payment_method: 'paybill',
+            mpesa_receipts: receipts
+        };
+
+        const data = await apiRequest(CONFIG.PAYBILL_CONFIRM_ENDPOINT, {
+            method: 'POST',
+            body: payload,
+            headers: { 'Idempotency-Key': `${payload.client_order_ref}-paybill` },
+            timeoutMs: CONFIG.PAYMENT_TIMEOUT_MS
+        });
+
+        if (!data || !data.order_id) {
+            throw new Error(data?.error || 'Paybill payment could not be matched');
+        }
+
+        console.log('✅ Paybill payment recorded for order', data.order_id);
+        if (plan.type !== 'balance') {
+            clearClientOrderRef();
+        }
+        handlePaymentSuccess({
+            order_id: data.order_id,
+            plan: plan,
+            paid_amount: plan.due_now,
+            pending_verification: data.status !== 'SUCCESS'
+        });
+
+    } catch (error) {
+        console.error('❌ Error confirming Paybill payment:', error.message);
+        showNotification(getErrorMessage(error, 'We could not confirm that payment. Check the codes and try again.'), 'error');
+    } finally {
+        button.disabled = false;
+        button.textContent = "I've paid via Paybill";
+    }
+}
+
+/**
+ * Set up checkout to pay the outstanding balance of an existing order
+ * (deposit balance, part payment or credit order) through the same STK flow
+ * @param {string} orderId - Order ID
+ * @returns {Promise<boolean>} False if there is nothing to pay
+ */
+async function initializeBalancePayment(orderId) {
+    const orders = await fetchOrders(checkUserSession());
+    const order = orders.find(o => o.order_id === orderId);
+    if (!order) {
+        showCheckoutError('Order not found');
+        return false;
+    }
+
+    const balance = Math.round(getOrderBalance(order));
+    if (balance <= 0) {
+        showCheckoutError(`Order ${order.order_id} has nothing left to pay`);
+        return false;
+    }
+
+    window.balancePlan = {
+        type: 'balance',
+        order_id: order.order_id,
+        client_order_ref: order.client_order_ref || order.order_id,
+        amount_paid_before: Math.round((order.total_amount || 0) - balance),
+        order_total: balance,
+        due_now: balance,
+        balance: 0,
+        instalments: splitMpesaAmount(balance)
+    };
+
+    document.querySelector('main h1').textContent = `Pay Balance for ${order.order_id}`;
+    document.getElementById('delivery-section')?.classList.add('hidden');
+
+    // Order lines carry the same per-unit breakdown as cart lines
+    const items = (order.items || []).map(item => ({ ...item, final_price_kes: item.unit_price }));
+    renderOrderItems(items);
+    calculateTotals(items);
+    return true;
+}
+
+// ========================================
+// CREDIT TERMS (PAY ON ACCOUNT)
+// ========================================
+
+// getCreditTermDays() and getCartCreditTermDays() live in js/payment-terms.js
+
+/**
+ * Fetch the buyer's credit account
+ * @returns {Promise<object|null>} Account (approved, kra_verified, credit_limit, available_credit, outstanding_balance)
+ */
+async function fetchCreditAccount() {
+    const data = await apiRequest(CONFIG.CREDIT_ACCOUNT_ENDPOINT, {
+        query: { user_id: checkUserSession() }
+    });
+    return data && data.account ? data.account : null;
+}
+
+/**
+ * Only KRA-registered businesses approved for credit can buy on account
+ * @param {object|null} account - Credit account
+ * @returns {boolean} Eligible
+ */
+function isCreditEligible(account) {
+    return Boolean(account && account.approved && account.kra_verified);
+}
+
+/**
+ * Load the credit account for checkout; the option stays hidden on failure
+ */
+async function loadCheckoutCreditAccount() {
+    try {
+        window.creditAccount = await fetchCreditAccount();
+    } catch (error) {
+        console.error('❌ Error loading credit account:', error.message);
+        window.creditAccount = null;
+    }
+    renderPaymentPlan();
+}
+
+/**
+ * Show the pay-on-account option to approved buyers, disabled when the
+ * order is larger than the credit still available
+ */
+function renderCreditOption() {
+    const option = document.getElementById('credit-plan-option');
+    const input = option.querySelector('input');
+    const account = window.creditAccount;
+    const eligible = isCreditEligible(account);
+    const fits = eligible && account.available_credit >= Math.round(window.orderTotal || 0);
+
+    option.classList.toggle('hidden', !eligible);
+    input.disabled = !fits;
+    if (!fits && input.checked) {
+        document.querySelector('input[name="payment-plan"][value="full"]').checked = true;
+    }
+
+    document.getElementById('credit-plan-label').textContent = !eligible ? '' : fits
+        ? 'Pay later on account'
+        : `Pay later on account (only KES ${formatPrice(account.available_credit)} credit available)`;
+}
+
+/**
+ * Place the order on the buyer's credit account
+ */
+async function placeCreditOrder() {
+    const payButton = document.getElementById('pay-button');
+
+    if (!document.getElementById('terms-checkbox').checked) {
+        alert('Please agree to the terms and conditions');
+        return;
+    }
+
+    if (!navigator.onLine) {
+        alert('You are offline. Please reconnect to place your order.');
+        return;
+    }
+
+    // An STK push for this cart is still running
+    const existing = getPendingPayment();
+    if (existing && isPaymentActive(existing)) {
+        resumePayment(existing);
+        return;
+    }
+
+    payButton.disabled = true;
+    payButton.textContent = '🧾 Placing order...';
+
+    try {
+        // Credit may have been used elsewhere since the page loaded
+        window.creditAccount = await fetchCreditAccount();
+        const plan = getCheckoutPaymentPlan();
+        if (!isCreditEligible(window.creditAccount) || window.creditAccount.available_credit < plan.order_total) {
+            throw new ValidationError('Your available credit no longer covers this order. Please pay with M-Pesa.');
+        }
+
+        const phone = document.getElementById('phone-input').value.trim();
+        const payload = {
+            ...buildCheckoutPayload(validatePhoneNumber(phone) ? formatPhoneNumber(phone) : null, plan),
+            amount: 0,
+            payment_method: 'credit',
+            payment_terms_days: plan.term_days,
+            due_date: plan.due_date
+        };
+
+        const data = await apiRequest(CONFIG.CREDIT_CHECKOUT_ENDPOINT, {
+            method: 'POST',
+            body: payload,
+            headers: { 'Idempotency-Key': `${payload.client_order_ref}-credit` },
+            timeoutMs: CONFIG.PAYMENT_TIMEOUT_MS
+        });
+
+        if (!data || !data.order_id) {
+            throw new Error(data?.error || 'Order could not be placed on account');
+        }
+
+        console.log('✅ Order placed on account:', data.order_id);
+        clearClientOrderRef();
+        handlePaymentSuccess({ order_id: data.order_id, plan: plan, paid_amount: 0 });
+
+    } catch (error) {
+        console.error('❌ Error placing credit order:', error.message);
+        showNotification(getErrorMessage(error, 'Could not place the order on account. Please try again.'), 'error');
+        renderPaymentPlan();
+        resetPayButton();
+    }
+}
+
+/**
+ * Load the credit account and show it with upcoming payments on the dashboard
+ */
+async function loadCreditAccount() {
+    try {
+        window.creditAccount = await fetchCreditAccount();
+    } catch (error) {
+        console.error('❌ Error loading credit account:', error.message);
+        window.creditAccount = null;
+    }
+    renderCreditSection();
+}
+
+/**
+ * Render the credit summary and reminders for balances coming due
+ */
+function renderCreditSection() {
+    const section = document.getElementById('credit-section');
+    if (!section) return;
+
+    const account = window.creditAccount;
+    const dues = (window.dashboardOrders || [])
+        .filter(order => getOrderBalance(order) > 0 && order.balance_due_date)
+        .sort((a, b) => new Date(a.balance_due_date) - new Date(b.balance_due_date));
+
+    section.classList.toggle('hidden', !isCreditEligible(account) && dues.length === 0);
+
+    const summary = document.getElementById('credit-summary');
+    summary.classList.toggle('hidden', !isCreditEligible(account));
+    if (isCreditEligible(account)) {
+        summary.innerHTML = `
+            <div><p class="text-xs text-gray-600 font-semibold">CREDIT LIMIT</p><p class="text-lg font-bold text-gray-900">KES ${formatPrice(account.credit_limit)}</p></div>
+            <div><p class="text-xs text-gray-600 font-semibold">AVAILABLE</p><p class="text-lg font-bold text-green-600">KES ${formatPrice(account.available_credit)}</p></div>
+            <div><p class="text-xs text-gray-600 font-semibold">OUTSTANDING</p><p class="text-lg font-bold text-amber-700">KES ${formatPrice(account.outstanding_balance || 0)}</p></div>
+        `;
+    }
+
+    const list = document.getElementById('credit-dues-list');
+    if (dues.length === 0) {
+        list.innerHTML = '<p class="text-sm text-gray-500">No payments due.</p>';
+        return;
+    }
+
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+
+    list.innerHTML = dues.map(order => {
+        const dueDate = new Date(order.balance_due_date);
+        dueDate.setHours(0, 0, 0, 0);
+        const daysLeft = Math.round((dueDate - today) / (24 * 60 * 60 * 1000));
+        const urgency = daysLeft < 0 ? 'overdue' : daysLeft <= CONFIG.CREDIT_REMINDER_DAYS ? 'due-soon' : '';
+        const when = daysLeft < 0
+            ? `${-daysLeft} day${daysLeft === -1 ? '' : 's'} overdue`
+            : daysLeft === 0 ? 'due today' : `due in ${daysLeft} day${daysLeft === 1 ? '' : 's'}`;
+
+        return `
+            <div class="credit-due ${urgency}">
+                <div>
+                    <p class="font-semibold text-gray-900">${escapeHtml(order.order_id)} • KES ${formatPrice(getOrderBalance(order))}</p>
+                    <p class="text-xs">${formatDate(order.balance_due_date)} (${when})</p>
+                </div>
+                <a href="checkout.html?settle=${encodeURIComponent(order.order_id)}" class="bg-green-600 hover:bg-green-700 text-white px-3 py-1 rounded-lg text-sm font-semibold">Pay now</a>
+            </div>
+        `;
+    }).join('');
+}
+
+// ========================================
+// DELIVERY & FREIGHT OPTIONS
+// ========================================
+
+const SHIPPING_METHODS = {
+    sea: { label: 'Sea freight', icon: '🚢' },
+    air: { label: 'Air freight', icon: '✈️' }
+};
+
+const PICKUP_POINTS = [
+    { id: 'nairobi-warehouse', label: 'Nairobi warehouse (Embakasi)' },
+    { id: 'mombasa-port', label: 'Mombasa port (Kilindini)' }
+];
+
+const KENYA_COUNTIES = [
+    'Baringo', 'Bomet', 'Bungoma', 'Busia', 'Elgeyo-Marakwet', 'Embu', 'Garissa', 'Homa Bay',
+    'Isiolo', 'Kajiado', 'Kakamega', 'Kericho', 'Kiambu', 'Kilifi', 'Kirinyaga', 'Kisii',
+    'Kisumu', 'Kitui', 'Kwale', 'Laikipia', 'Lamu', 'Machakos', 'Makueni', 'Mandera',
+    'Marsabit', 'Meru', 'Migori', 'Mombasa', "Murang'a", 'Nairobi', 'Nakuru', 'Nandi',
+    'Narok', 'Nyamira', 'Nyandarua', 'Nyeri', 'Samburu', 'Siaya', 'Taita-Taveta', 'Tana River',
+    'Tharaka-Nithi', 'Trans Nzoia', 'Turkana', 'Uasin Gishu', 'Vihiga', 'Wajir', 'West Pokot'
+];
+
+// Only the latest re-quote may update the totals
+let deliveryQuote = { id: 0, confirmed: true };
+
+/**
+ * Get the delivery choice for checkout (kept for the browser session)
+ * @returns {object} Delivery: shipping_method, type ('address' or 'pickup'), address_id, pickup_point
+ */
+function getCheckoutDelivery() {
+    const defaults = { shipping_method: 'sea', type: 'address', address_id: null, pickup_point: PICKUP_POINTS[0].id };
+    try {
+        return { ...defaults, ...JSON.parse(sessionStorage.getItem('checkout_delivery') || '{}') };
+    } catch (error) {
+        console.error('❌ Error reading delivery choice:', error);
+        return defaults;
+    }
+}
+
+/**
+ * Store the delivery choice
+ * @param {object} delivery - Delivery choice
+ */
+function saveCheckoutDelivery(delivery) {
+    sessionStorage.setItem('checkout_delivery', JSON.stringify(delivery));
+}
+
+/**
+ * Price-check query fields for a delivery choice
+ * @param {object} delivery - Delivery choice
+ * @returns {object} Query fields
+ */
+function getPricingDeliveryQuery(delivery) {
+    if (delivery.type === 'pickup') {
+        return { shipping_method: delivery.shipping_method, pickup_point: delivery.pickup_point };
+    }
+
+    // Without an address only the international leg can be quoted
+    const address = getSelectedAddress(delivery);
+    return address
+        ? { shipping_method: delivery.shipping_method, county: address.county, town: address.town }
+        : { shipping_method: delivery.shipping_method };
+}
+
+/**
+ * Load the buyer's saved business addresses
+ */
+async function loadSavedAddresses() {
+    try {
+        const data = await apiRequest(CONFIG.ADDRESSES_ENDPOINT, {
+            query: { user_id: checkUserSession() }
+        });
+        window.savedAddresses = data && Array.isArray(data.addresses) ? data.addresses : [];
+    } catch (error) {
+        console.error('❌ Error loading saved addresses:', error.message);
+        window.savedAddresses = [];
+    }
+
+    // Pick the default address the first time
+    const delivery = getCheckoutDelivery();
+    if (!getSelectedAddress(delivery) && window.savedAddresses.length > 0) {
+        const preferred = window.savedAddresses.find(address => address.is_default) || window.savedAddresses[0];
+        saveCheckoutDelivery({ ...delivery, address_id: preferred.address_id });
+    }
+}
+
+/**
+ * @param {object} delivery - Delivery choice
+ * @returns {object|null} Selected saved address
+ */
+function getSelectedAddress(delivery) {
+    return (window.savedAddresses || []).find(address => address.address_id === delivery.address_id) || null;
+}
+
+/**
+ * Render the delivery step from the current choice
+ */
+function renderDeliveryStep() {
+    const section = document.getElementById('delivery-section');
+    if (!section) return;
+
+    const delivery = getCheckoutDelivery();
+    const pickup = delivery.type === 'pickup';
+
+    document.querySelectorAll('input[name="shipping-method"]').forEach(input => {
+        input.checked = input.value === delivery.shipping_method;
+    });
+    document.querySelectorAll('input[name="delivery-type"]').forEach(input => {
+        input.checked = input.value === delivery.type;
+    });
+    document.getElementById('address-fields').classList.toggle('hidden', pickup);
+    document.getElementById('pickup-fields').classList.toggle('hidden', !pickup);
+
+    const addressSelect = document.getElementById('address-select');
+    const addresses = window.savedAddresses || [];
+    addressSelect.innerHTML = addresses.length > 0
+        ? addresses.map(address => `
+            <option value="${escapeHtml(address.address_id)}" ${address.address_id === delivery.address_id ? 'selected' : ''}>
+                ${escapeHtml(address.label || address.business_name || 'Business address')} – ${escapeHtml([address.street, address.town, address.county].filter(Boolean).join(', '))}
+            </option>
+        `).join('')
+        : '<option value="">No saved addresses yet</option>';
+    addressSelect.disabled = addresses.length === 0;
+
+    const pickupSelect = document.getElementById('pickup-select');
+    pickupSelect.innerHTML = PICKUP_POINTS.map(point => `
+        <option value="${point.id}" ${point.id === delivery.pickup_point ? 'selected' : ''}>${escapeHtml(point.label)}</option>
+    `).join('');
+
+    const countySelect = document.getElementById('address-county');
+    if (countySelect.options.length <= 1) {
+        countySelect.innerHTML = '<option value="">Select county</option>' +
+            KENYA_COUNTIES.map(county => `<option value="${escapeHtml(county)}">${escapeHtml(county)}</option>`).join('');
+    }
+}
+
+/**
+ * Delivery time for the whole cart: the slowest line decides
+ * @param {array} cart - Cart items
+ * @returns {object|null} { min_days, max_days }
+ */
+function getCartDeliveryEstimate(cart) {
+    const estimates = cart.map(item => item.delivery_estimate).filter(Boolean);
+    if (estimates.length === 0) return null;
+
+    return {
+        min_days: Math.max(...estimates.map(estimate => estimate.min_days || 0)),
+        max_days: Math.max(...estimates.map(estimate => estimate.max_days || estimate.min_days || 0))
+    };
+}
+
+/**
+ * Date a number of days from today
+ * @param {number} days - Days ahead
+ * @returns {string} ISO date (YYYY-MM-DD)
+ */
+function getDateInDays(days) {
+    const date = new Date();
+    date.setDate(date.getDate() + days);
+    return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Show the quoted delivery time for the current choice
+ * @param {array} cart - Cart items
+ */
+function renderDeliveryEstimate(cart) {
+    const element = document.getElementById('delivery-estimate');
+    if (!element) return;
+
+    const delivery = getCheckoutDelivery();
+    const method = SHIPPING_METHODS[delivery.shipping_method];
+    const estimate = getCartDeliveryEstimate(cart);
+    const destination = delivery.type === 'pickup'
+        ? `ready for collection at ${PICKUP_POINTS.find(point => point.id === delivery.pickup_point)?.label || 'the pickup point'}`
+        : 'delivered to your address';
+
+    element.textContent = estimate
+        ? `${method.icon} ${method.label}: ${estimate.min_days}–${estimate.max_days} days, ${destination} by ${formatDate(getDateInDays(estimate.max_days))}.`
+        : `${method.icon} ${method.label}: delivery time is confirmed with your order.`;
+}
+
+/**
+ * Re-quote freight and delivery time after the delivery choice changes
+ */
+async function requoteDelivery() {
+    const quoteId = ++deliveryQuote.id;
+    deliveryQuote.confirmed = false;
+
+    const payButton = document.getElementById('pay-button');
+    payButton.disabled = true;
+    hideDeliveryError();
+    document.getElementById('delivery-estimate').textContent = 'Updating freight and delivery time...';
+
+    try {
+        const cart = await repriceCart(getCartFromSession(), getCheckoutDelivery());
+        if (quoteId !== deliveryQuote.id) return;
+
+        saveCartToSession(cart);
+        deliveryQuote.confirmed = true;
+        renderOrderItems(cart);
+        calculateTotals(cart);
+        renderDeliveryEstimate(cart);
+        console.log('✅ Freight re-quoted for', getCheckoutDelivery().shipping_method);
+
+    } catch (error) {
+        if (quoteId !== deliveryQuote.id) return;
+        console.error('❌ Error re-quoting freight:', error.message);
+        document.getElementById('delivery-estimate').textContent = '';
+        showDeliveryError(getErrorMessage(error, 'Could not quote freight for this option. Please try again.'));
+    } finally {
+        if (quoteId === deliveryQuote.id) {
+            resetPayButton();
+        }
+    }
+}
+
+/**
+ * Update one field of the delivery choice and re-quote
+ * @param {object} changes - Fields to change
+ */
+function updateCheckoutDelivery(changes) {
+    saveCheckoutDelivery({ ...getCheckoutDelivery(), ...changes });
+    renderDeliveryStep();
+    requoteDelivery();
+}
+
+/**
+ * Check the delivery step before payment
+ * @returns {string|null} Error message, or null if complete
+ */
+function validateDeliveryStep() {
+    // Balance payments belong to an order that already has its delivery
+    if (window.balancePlan) return null;
+
+    const delivery = getCheckoutDelivery();
+    if (delivery.type === 'address' && !getSelectedAddress(delivery)) {
+        return 'Please add a delivery address or choose a pickup point.';
+    }
+    if (delivery.type === 'pickup' && !PICKUP_POINTS.some(point => point.id === delivery.pickup_point)) {
+        return 'Please choose a pickup point.';
+    }
+    if (!deliveryQuote.confirmed) {
+        return 'Freight for this delivery option has not been confirmed yet. Please try again.';
+    }
+    return null;
+}
+
+/**
+ * Delivery details sent with the order
+ * @param {array} cart - Cart items
+ * @returns {object} Delivery payload
+ */
+function getDeliveryPayload(cart) {
+    const delivery = getCheckoutDelivery();
+    const estimate = getCartDeliveryEstimate(cart);
+    const pickup = delivery.type === 'pickup';
+
+    return {
+        shipping_method: delivery.shipping_method,
+        delivery_type: delivery.type,
+        pickup_point: pickup ? delivery.pickup_point : null,
+        address: pickup ? null : getSelectedAddress(delivery),
+        estimated_delivery_days: estimate,
+        expected_delivery: estimate ? getDateInDays(estimate.max_days) : null
+    };
+}
+
+/**
+ * Save a new business address and deliver there
+ */
+async function saveNewAddress() {
+    const saveButton = document.getElementById('save-address-btn');
+    const county = document.getElementById('address-county').value;
+    const town = document.getElementById('address-town').value.trim();
+    const street = document.getElementById('address-street').value.trim();
+    const label = document.getElementById('address-label').value.trim();
+
+    if (!KENYA_COUNTIES.includes(county) || town.length < 2) {
+        showDeliveryError('Please choose a county and enter the town.');
+        return;
+    }
+
+    saveButton.disabled = true;
+    saveButton.textContent = 'Saving...';
+
+    try {
+        const data = await apiRequest(CONFIG.ADDRESSES_ENDPOINT, {
+            method: 'POST',
+            body: {
+                user_id: checkUserSession(),
+                label: label || `${town}, ${county}`,
+                business_name: getUserData()?.business_name || '',
+                county: county,
+                town: town,
+                street: street,
+                timestamp: new Date().toISOString()
+            }
+        });
+
+        if (!data || !data.address || !data.address.address_id) {
+            throw new Error('Invalid response from addresses endpoint');
+        }
+
+        window.savedAddresses = [...(window.savedAddresses || []), data.address];
+        document.getElementById('new-address-form').classList.add('hidden');
+        ['address-label', 'address-town', 'address-street'].forEach(id => {
+            document.getElementById(id).value = '';
+        });
+
+        console.log('✅ Saved delivery address', data.address.address_id);
+        updateCheckoutDelivery({ type: 'address', address_id: data.address.address_id });
+
+    } catch (error) {
+        console.error('❌ Error saving address:', error.message);
+        showDeliveryError(getErrorMessage(error, 'Could not save the address. Please try again.'));
+    } finally {
+        saveButton.disabled = false;
+        saveButton.textContent = 'Save Address';
+    }
+}
+
+/**
+ * Show a delivery step error
+ * @param {string} message - Error message
+ */
+function showDeliveryError(message) {
+    const error = document.getElementById('delivery-error');
+    if (!error) {
+        alert(message);
+        return;
+    }
+    error.textContent = message;
+    error.classList.remove('hidden');
+    document.getElementById('delivery-section')?.scrollIntoView({ behavior: 'smooth', block: 'start' });
+}
+
+function hideDeliveryError() {
+    document.getElementById('delivery-error')?.classList.add('hidden');
+}
+
+/**
+ * Shipping label for an order on the dashboard
+ * @param {object} order - Order object
+ * @returns {string} Label
+ */
+function getOrderShippingLabel(order) {
+    const method = SHIPPING_METHODS[order.shipping_method];
+    const label = method ? `${method.icon} ${method.label}` : (order.shipping_method || 'Standard');
+    const pickup = PICKUP_POINTS.find(point => point.id === order.pickup_point);
+    return pickup ? `${label} • Pickup: ${pickup.label}` : label;
+}
+
+/**
+ * Setup event listeners for the delivery step
+ */
+function setupDeliveryEventListeners() {
+    document.querySelectorAll('input[name="shipping-method"]').forEach(input => {
+        input.addEventListener('change', () => updateCheckoutDelivery({ shipping_method: input.value }));
+    });
+    document.querySelectorAll('input[name="delivery-type"]').forEach(input => {
+        input.addEventListener('change', () => updateCheckoutDelivery({ type: input.value }));
+    });
+    document.getElementById('address-select')?.addEventListener('change', (e) => {
+        updateCheckoutDelivery({ address_id: e.target.value });
+    });
+    document.getElementById('pickup-select')?.addEventListener('change', (e) => {
+        updateCheckoutDelivery({ pickup_point: e.target.value });
+    });
+
+    document.getElementById('add-address-btn')?.addEventListener('click', () => {
+        hideDeliveryError();
+        document.getElementById('new-address-form').classList.toggle('hidden');
+    });
+    document.getElementById('cancel-address-btn')?.addEventListener('click', () => {
+        document.getElementById('new-address-form').classList.add('hidden');
+    });
+    document.getElementById('save-address-btn')?.addEventListener('click', saveNewAddress);
+}
+
+/**
+ * Validate phone number format
+ * @param {string} phone - Phone number (without +254)
+ * @returns {boolean} Valid format
+ */
+function validatePhoneNumber(phone) {
+    const phoneRegex = /^[0-9]{9}$/;
+    return phoneRegex.test(phone);
+}
+
+/**
+ * Format phone number for M-Pesa (add country code)
+ * @param {string} phone - Phone number without country code
+ * @returns {string} Full phone number with +254
+ */
+function formatPhoneNumber(phone) {
+    return `254${phone}`;
+}
+
+/**
+ * Initiate M-Pesa STK Push payment
+ */
+async function initiatePayment(event) {
+    event.preventDefault();
+
+    const deliveryError = validateDeliveryStep();
+    if (deliveryError) {
+        showDeliveryError(deliveryError);
+        return;
+    }
+
+    if (getCheckoutPaymentPlan().type === 'credit') {
+        await placeCreditOrder();
+        return;
+    }
+
+    try {
+        // Validate form
+        const phoneInput = document.getElementById('phone-input');
+        const termsCheckbox = document.getElementById('terms-checkbox');
+        const payButton = document.getElementById('pay-button');
+
+        const phone = phoneInput.value.trim();
+        
+        if (!validatePhoneNumber(phone)) {
+            showPhoneError('Please enter a valid 9-digit phone number');
+            return;
+        }
+
+        if (!termsCheckbox.checked) {
+            alert('Please agree to the terms and conditions');
+            return;
+        }
+
+        if (!navigator.onLine) {
+            alert('You are offline. Please reconnect to pay.');
+            return;
+        }
+
+        // Another attempt is still running (e.g. second tab): follow it instead
+        const existing = getPendingPayment();
+        if (existing && isPaymentActive(existing)) {
+            resumePayment(existing);
+            return;
+        }
+
+        // Disable button to prevent double-click
+        payButton.disabled = true;
+        payButton.textContent = '💰 Processing...';
+
+        // Show payment overlay
+        showPaymentOverlay();
+
+        // Format phone number with country code
+        const fullPhone = formatPhoneNumber(phone);
+
+        // Same cart, same reference: the backend will not push twice for it
+        const plan = getCheckoutPaymentPlan();
+        const payload = buildCheckoutPayload(fullPhone, plan);
+
+        savePendingPayment({
+            state: PAYMENT_STATES.INITIATED,
+            phone: fullPhone,
+            plan: plan,
+            amount: payload.amount,
+            paid_amount: 0,
+            instalments_paid: 0,
+            instalment_attempt: 0,
+            client_order_ref: payload.client_order_ref,
+            started_at: new Date().toISOString(),
+            attempts: 0
+        });
+        renderPaymentState(getPendingPayment());
+
+        await submitCheckout(payload, getCheckoutIdempotencyKey(payload, 0));
+
+    } catch (error) {
+        console.error('❌ Error initiating payment:', error.message);
+        if (getPendingPayment()) {
+            transitionPayment(PAYMENT_STATES.FAILED, {
+                error: getErrorMessage(error, 'Failed to initiate payment. Please try again.')
+            });
+        } else {
+            handlePaymentFailure(getErrorMessage(error, 'Failed to initiate payment. Please try again.'));
+        }
+    }
+}
+
+/**
+ * Build the checkout payload for one M-Pesa push of the current cart
+ * @param {string|null} fullPhone - Phone number with country code
+ * @param {object} plan - Payment plan from getPaymentPlan()
+ * @param {number} instalmentIndex - Which push of the plan (0-based)
+ * @returns {object} Checkout payload
+ */
+function buildCheckoutPayload(fullPhone, plan, instalmentIndex = 0) {
+    return {
+        user_id: getUserId(),
+        phone_number: fullPhone,
+        payment_method: 'stk_push',
+        amount: plan.instalments[instalmentIndex],
+        order_total: plan.order_total,
+        payment_plan: plan.type,
+        amount_due_now: plan.due_now,
+        instalment: instalmentIndex + 1,
+        instalment_count: plan.instalments.length,
+        // Balance payments belong to an existing order, which already has its delivery
+        order_id: plan.order_id || null,
+        amount_paid_before: plan.order_id ? plan.amount_paid_before : null,
+        delivery: plan.order_id ? null : getDeliveryPayload(window.cartItems),
+        client_order_ref: plan.client_order_ref || getClientOrderRef(window.cartItems, plan.order_total),
+        // Set when the same cart was re-priced since the order reference was issued
+        previous_order_total: plan.order_id ? null : getClientOrderPreviousTotal(),
+        cart_items: window.cartItems.map(item => ({
+            product_id: item.product_id,
+            product_name: item.product_name,
+            quantity: item.quantity,
+            unit_price: item.final_price_kes,
+            total: (item.final_price_kes || 0) * (item.quantity || 1),
+            // Per-unit breakdown, kept on the order for the tax invoice
+            supplier_cost: item.supplier_cost,
+            international_freight: item.international_freight,
+            local_delivery: item.local_delivery,
+            kra_duty: item.kra_duty,
+            vat: item.vat,
+            platform_fee: item.platform_fee,
+            markup: item.markup,
+            all_inclusive: Boolean(item.all_inclusive),
+            quote_id: item.quote_id || null
+        })),
+        timestamp: new Date().toISOString()
+    };
+}
+
+/**
+ * Idempotency key for one push: the order reference and instalment, plus the
+ * attempt once an earlier push for that instalment has failed.
+ * Price, freight and plan are left out, so a re-priced cart or a second tab
+ * with another plan gets the existing push back instead of a second charge;
+ * the new amount travels in the body for the backend to reconcile.
+ * Balance pay-offs reuse the order's reference, so the amount already settled
+ * on the order (the same in every tab) tells successive pay-offs apart.
+ * @param {object} payload - Result of buildCheckoutPayload()
+ * @param {number} attempt - Failed pushes so far for this instalment
+ * @returns {string} Idempotency key
+ */
+function getCheckoutIdempotencyKey(payload, attempt) {
+    const reference = payload.order_id
+        ? `${payload.client_order_ref}-balance-${payload.amount_paid_before}`
+        : payload.client_order_ref;
+    const key = `${reference}-${payload.instalment}`;
+    return attempt ? `${key}-${attempt + 1}` : key;
+}
+
+/**
+ * Send the checkout request and follow the payment it returns.
+ * Never retried automatically: the idempotency key makes a manual resend safe,
+ * but a blind retry could still race a slow first request.
+ * @param {object} payload - Result of buildCheckoutPayload()
+ * @param {string} idempotencyKey - Result of getCheckoutIdempotencyKey()
+ */
+async function submitCheckout(payload, idempotencyKey) {
+    const data = await apiRequest('/webhook/checkout', {
+        method: 'POST',
+        body: payload,
+        headers: { 'Idempotency-Key': idempotencyKey },
+        timeoutMs: CONFIG.PAYMENT_TIMEOUT_MS
+    });
+
+    if (!data || !data.checkout_request_id) {
+        throw new Error('No checkout request ID received');
+    }
+
+    // The backend already had a payment for this reference: follow it instead of a new push
+    if (data.existing) {
+        console.log('✅ Resuming existing payment for', payload.client_order_ref, data.checkout_request_id);
+        showNotification('You already started paying for this order. Continuing that payment.');
+    } else {
+        console.log('✅ STK Push initiated. Request ID:', data.checkout_request_id);
+    }
+
+    // The buyer may have cancelled while the push was being sent
+    const awaiting = transitionPayment(PAYMENT_STATES.AWAITING_PIN, {
+        checkout_request_id: data.checkout_request_id,
+        started_at: data.existing && data.initiated_at ? data.initiated_at : new Date().toISOString()
+    });
+    if (!awaiting) {
+        notifyPaymentCancelled(data.checkout_request_id);
+        return;
+    }
+
+    // An existing payment may already be settled
+    if (data.status && applyPaymentStatus(data)) return;
+
+    startPaymentTimers();
+}
+
+/**
+ * Fingerprint of what is being ordered: products, quantities and quotes.
+ * Prices are left out so a re-price of the same cart stays the same order.
+ * @param {array} cart - Cart items
+ * @returns {string} Snapshot hash
+ */
+function getCartSnapshotHash(cart) {
+    const snapshot = JSON.stringify(cart
+        .map(item => [item.product_id, item.quantity, item.quote_id || null])
+        .sort((a, b) => String(a[0]).localeCompare(String(b[0]))));
+
+    // djb2; only needs to tell snapshots apart, not be secure
+    let hash = 5381;
+    for (let i = 0; i < snapshot.length; i++) {
+        hash = ((hash << 5) + hash + snapshot.charCodeAt(i)) >>> 0;
+    }
+    return hash.toString(36);
+}
+
+/**
+ * Storage key for the client order reference, per user
+ * @returns {string} Storage key
+ */
+function getClientOrderRefKey() {
+    return `checkout_ref_${checkUserSession() || 'guest'}`;
+}
+
+/**
+ * Client order reference for a cart snapshot, reused until the cart changes.
+ * Sent as client_order_ref and used as the base of the checkout idempotency
+ * key (see getCheckoutIdempotencyKey).
+ * Price drift on the same cart keeps the reference; the earlier total is kept
+ * so the checkout body can report it (see getClientOrderPreviousTotal).
+ * @param {array} cart - Cart items
+ * @param {number} amount - Amount to charge
+ * @returns {string} Order reference
+ */
+function getClientOrderRef(cart, amount) {
+    const key = getClientOrderRefKey();
+    const snapshotHash = getCartSnapshotHash(cart);
+
+    try {
+        const stored = JSON.parse(localStorage.getItem(key) || 'null');
+        if (stored && stored.snapshot_hash === snapshotHash) {
+            if (stored.priced_total !== amount) {
+                console.warn(`⚠ Order ${stored.order_ref} re-priced from KES ${stored.priced_total} to KES ${amount}`);
+                localStorage.setItem(key, JSON.stringify({ ...stored, priced_total: amount, previous_total: stored.priced_total }));
+            }
+            return stored.order_ref;
+        }
+    } catch (error) {
+        console.error('❌ Error reading order reference:', error);
+    }
+
+    const random = window.crypto?.randomUUID
+        ? window.crypto.randomUUID().replace(/-/g, '').slice(0, 12)
+        : Math.random().toString(36).slice(2, 14);
+    const orderRef = `TH-${Date.now().toString(36).toUpperCase()}-${random.toUpperCase()}`;
+
+    localStorage.setItem(key, JSON.stringify({
+        snapshot_hash: snapshotHash,
+        order_ref: orderRef,
+        priced_total: amount,
+        created_at: new Date().toISOString()
+    }));
+    return orderRef;
+}
+
+/**
+ * Total the current order reference was priced at before its latest re-price
+ * @returns {number|null} Earlier total, or null if the cart was never re-priced
+ */
+function getClientOrderPreviousTotal() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(getClientOrderRefKey()) || 'null');
+        return stored?.previous_total ?? null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Forget the order reference so the next attempt is a new order
+ */
+function clearClientOrderRef() {
+    localStorage.removeItem(getClientOrderRefKey());
+}
+
+// ========================================
+// M-PESA PAYMENT STATE MACHINE
+// ========================================
+// The payment in progress is kept in localStorage so it survives a reload or
+// a closed tab, and is shared with other tabs of the same buyer.
+
+const PAYMENT_STATES = {
+    INITIATED: 'initiated',
+    AWAITING_PIN: 'awaiting_pin',
+    CONFIRMING: 'confirming',
+    PART_PAID: 'part_paid',
+    SUCCESS: 'success',
+    FAILED: 'failed',
+    CANCELLED: 'cancelled',
+    TIMED_OUT: 'timed_out'
+};
+
+/**
+ * Allowed transitions; success, failed, cancelled and timed_out are final.
+ * part_paid sits between the pushes of a split payment.
+ */
+const PAYMENT_TRANSITIONS = {
+    initiated: ['awaiting_pin', 'part_paid', 'failed', 'cancelled'],
+    awaiting_pin: ['confirming', 'part_paid', 'success', 'failed', 'cancelled'],
+    confirming: ['part_paid', 'success', 'failed', 'cancelled', 'timed_out'],
+    part_paid: ['initiated', 'success'],
+    success: [],
+    failed: [],
+    cancelled: [],
+    timed_out: []
+};
+
+const PAYMENT_FAILURE_MESSAGES = {
+    failed: 'Payment was declined',
+    cancelled: 'Payment was cancelled',
+    timed_out: 'We could not confirm your payment. If you entered your PIN, check your M-Pesa messages and My Orders before paying again.'
+};
+
+let paymentTimers = { pollId: null, tickId: null };
+
+/**
+ * Storage key for the payment in progress, per user
+ * @returns {string} Storage key
+ */
+function getPendingPaymentKey() {
+    return `pending_payment_${checkUserSession() || 'guest'}`;
+}
+
+/**
+ * Get the stored payment record
+ * @returns {object|null} Payment record
+ */
+function getPendingPayment() {
+    try {
+        return JSON.parse(localStorage.getItem(getPendingPaymentKey()) || 'null');
+    } catch (error) {
+        console.error('❌ Error reading pending payment:', error);
+        return null;
+    }
+}
+
+/**
+ * Store the payment record
+ * @param {object} payment - Payment record
+ */
+function savePendingPayment(payment) {
+    localStorage.setItem(getPendingPaymentKey(), JSON.stringify({
+        ...payment,
+        updated_at: new Date().toISOString()
+    }));
+}
+
+function clearPendingPayment() {
+    localStorage.removeItem(getPendingPaymentKey());
+}
+
+/**
+ * Whether the payment can still change state
+ * @param {object} payment - Payment record
+ * @returns {boolean}
+ */
+function isPaymentActive(payment) {
+    return [
+        PAYMENT_STATES.INITIATED,
+        PAYMENT_STATES.AWAITING_PIN,
+        PAYMENT_STATES.CONFIRMING,
+        PAYMENT_STATES.PART_PAID
+    ].includes(payment.state);
+}
+
+/**
+ * Move the stored payment to a new state. Invalid transitions (e.g. a late
+ * poll after the buyer cancelled) are ignored.
+ * @param {string} nextState - Target state
+ * @param {object} changes - Fields to store with the new state
+ * @returns {object|null} Updated record, or null if the transition was refused
+ */
+function transitionPayment(nextState, changes = {}) {
+    const payment = getPendingPayment();
+    if (!payment || !PAYMENT_TRANSITIONS[payment.state]?.includes(nextState)) {
+        console.warn(`⚠ Ignoring payment transition ${payment ? payment.state : 'none'} → ${nextState}`);
+        return null;
+    }
+
+    const updated = { ...payment, ...changes, state: nextState };
+    savePendingPayment(updated);
+    console.log(`✅ Payment ${payment.state} → ${nextState}`);
+
+    renderPaymentState(updated);
+    if (!isPaymentActive(updated)) {
+        stopPaymentTimers();
+        onPaymentSettled(updated);
+    } else if (nextState === PAYMENT_STATES.PART_PAID) {
+        // Nothing to poll until the buyer asks for the next prompt
+        stopPaymentTimers();
+    }
+    return updated;
+}
+
+/**
+ * End the current push without payment. Once part of a split payment has
+ * gone through, the order exists, so the buyer goes back to part_paid
+ * (retry or pay the rest later) instead of failing the whole payment.
+ * @param {string} state - FAILED or CANCELLED
+ * @param {string} error - Message for the buyer
+ * @returns {object|null} Updated record, or null if the transition was refused
+ */
+function settleUnpaidAttempt(state, error) {
+    const payment = getPendingPayment();
+    if (payment && payment.paid_amount > 0) {
+        return transitionPayment(PAYMENT_STATES.PART_PAID, {
+            error: error,
+            instalment_attempt: (payment.instalment_attempt || 0) + 1
+        });
+    }
+    return transitionPayment(state, { error: error });
+}
+
+/**
+ * Send the next push of a split payment
+ */
+async function sendNextInstalment() {
+    const payment = getPendingPayment();
+    if (!payment || payment.state !== PAYMENT_STATES.PART_PAID) return;
+
+    const payload = buildCheckoutPayload(payment.phone, payment.plan, payment.instalments_paid);
+    const started = transitionPayment(PAYMENT_STATES.INITIATED, {
+        amount: payload.amount,
+        checkout_request_id: null,
+        started_at: new Date().toISOString(),
+        attempts: 0,
+        error: null
+    });
+    if (!started) return;
+
+    try {
+        await submitCheckout(payload, getCheckoutIdempotencyKey(payload, payment.instalment_attempt));
+    } catch (error) {
+        console.error('❌ Error sending next M-Pesa prompt:', error.message);
+        settleUnpaidAttempt(PAYMENT_STATES.FAILED, getErrorMessage(error, 'Could not send the next M-Pesa prompt. Please try again.'));
+    }
+}
+
+/**
+ * Continue a stored payment after a reload or from another attempt
+ * @param {object} payment - Active payment record
+ */
+function resumePayment(payment) {
+    console.log(`✅ Resuming payment in state ${payment.state}`);
+    renderPaymentState(payment);
+
+    // Waiting for the buyer to ask for the next prompt
+    if (payment.state === PAYMENT_STATES.PART_PAID) return;
+
+    // The checkout call was cut off: resend it with the same reference, which
+    // returns the existing payment if a prompt was already sent
+    if (payment.state === PAYMENT_STATES.INITIATED || !payment.checkout_request_id) {
+        // Records from before payment plans were always a single full push
+        const plan = payment.plan || getPaymentPlan(window.cartItems, window.orderTotal, 'full');
+        const payload = buildCheckoutPayload(payment.phone, plan, payment.instalments_paid || 0);
+        if (payload.client_order_ref !== payment.client_order_ref) {
+            settleUnpaidAttempt(PAYMENT_STATES.FAILED,
+                'Your cart changed during an interrupted payment. Check your phone for an M-Pesa prompt before trying again.');
+            return;
+        }
+
+        submitCheckout(payload, getCheckoutIdempotencyKey(payload, payment.instalment_attempt || 0)).catch(error => {
+            console.error('❌ Error resuming checkout:', error.message);
+            settleUnpaidAttempt(PAYMENT_STATES.FAILED,
+                getErrorMessage(error, 'Your previous payment attempt was interrupted. Please try again.'));
+        });
+        return;
+    }
+
+    startPaymentTimers();
+}
+
+/**
+ * Start the countdown and status polling for the stored payment
+ */
+function startPaymentTimers() {
+    stopPaymentTimers();
+    paymentTimers.tickId = setInterval(() => renderPaymentState(getPendingPayment()), 1000);
+
+    const payment = getPendingPayment();
+    if (payment && payment.state === PAYMENT_STATES.CONFIRMING) {
+        confirmPaymentBeforeTimeout();
+    } else {
+        schedulePaymentPoll();
+    }
+}
+
+function stopPaymentTimers() {
+    clearTimeout(paymentTimers.pollId);
+    clearInterval(paymentTimers.tickId);
+    paymentTimers = { pollId: null, tickId: null };
+}
+
+/**
+ * Schedule the next status poll, backing off from 2s up to 10s
+ */
+function schedulePaymentPoll() {
+    clearTimeout(paymentTimers.pollId);
+
+    const payment = getPendingPayment();
+    if (!payment || payment.state !== PAYMENT_STATES.AWAITING_PIN) return;
+
+    const delayMs = Math.min(
+        CONFIG.PAYMENT_POLL_MAX_MS,
+        CONFIG.PAYMENT_POLL_BASE_MS * Math.pow(1.5, payment.attempts || 0)
+    );
+    paymentTimers.pollId = setTimeout(pollPaymentStatus, delayMs);
+}
+
+/**
+ * Query the payment status once
+ * @param {string} checkoutRequestId - M-Pesa checkout request ID
+ * @param {number} retries - Retries for this query
+ * @returns {Promise<object|null>} Status response, or null if it could not be checked
+ */
+async function fetchPaymentStatus(checkoutRequestId, retries) {
+    try {
+        return await apiRequest('/webhook/payment-status', {
+            query: { request_id: checkoutRequestId },
+            timeoutMs: CONFIG.POLL_TIMEOUT_MS,
+            retries: retries
+        }) || {};
+    } catch (error) {
+        console.error('❌ Error polling payment status:', error.message);
+        return null;
+    }
+}
+
+/**
+ * Apply a final status for the current push from the backend
+ * @param {object} data - Status response
+ * @returns {boolean} True if the push reached a final state
+ */
+function applyPaymentStatus(data) {
+    if (data.status === 'SUCCESS') {
+        const payment = getPendingPayment() || {};
+        const instalmentsPaid = (payment.instalments_paid || 0) + 1;
+        const remaining = payment.plan ? payment.plan.instalments.length - instalmentsPaid : 0;
+
+        return Boolean(transitionPayment(remaining > 0 ? PAYMENT_STATES.PART_PAID : PAYMENT_STATES.SUCCESS, {
+            order_id: data.order_id || data.merchant_request_id || payment.order_id || null,
+            paid_amount: (payment.paid_amount || 0) + (payment.amount || 0),
+            instalments_paid: instalmentsPaid,
+            instalment_attempt: 0,
+            error: null
+        }));
+    }
+    if (data.status === 'FAILED') {
+        return Boolean(settleUnpaidAttempt(PAYMENT_STATES.FAILED, data.error || PAYMENT_FAILURE_MESSAGES.failed));
+    }
+    if (data.status === 'CANCELLED') {
+        return Boolean(settleUnpaidAttempt(PAYMENT_STATES.CANCELLED, PAYMENT_FAILURE_MESSAGES.cancelled));
+    }
+    return false;
+}
+
+/**
+ * Poll while the buyer enters their PIN; move to confirming when the window ends
+ */
+async function pollPaymentStatus() {
+    let payment = getPendingPayment();
+    if (!payment || payment.state !== PAYMENT_STATES.AWAITING_PIN) return;
+
+    // The poll loop itself is the retry
+    const data = await fetchPaymentStatus(payment.checkout_request_id, 0);
+
+    // Cancelled or settled (possibly in another tab) while the request was out
+    payment = getPendingPayment();
+    if (!payment || payment.state !== PAYMENT_STATES.AWAITING_PIN) return;
+    if (data && applyPaymentStatus(data)) return;
+
+    savePendingPayment({ ...payment, attempts: (payment.attempts || 0) + 1 });
+
+    if (Date.now() - new Date(payment.started_at) >= CONFIG.PAYMENT_WINDOW_MS) {
+        if (transitionPayment(PAYMENT_STATES.CONFIRMING)) {
+            confirmPaymentBeforeTimeout();
+        }
+        return;
+    }
+
+    schedulePaymentPoll();
+}
+
+/**
+ * Check a few more times, with retries, before declaring a timeout
+ */
+async function confirmPaymentBeforeTimeout() {
+    const payment = getPendingPayment();
+    if (!payment || payment.state !== PAYMENT_STATES.CONFIRMING) return;
+
+    for (let check = 0; check < CONFIG.PAYMENT_FINAL_CHECKS; check++) {
+        const data = await fetchPaymentStatus(payment.checkout_request_id, CONFIG.MAX_RETRIES);
+        if (getPendingPayment()?.state !== PAYMENT_STATES.CONFIRMING) return;
+        if (data && applyPaymentStatus(data)) return;
+
+        await delay(CONFIG.PAYMENT_POLL_BASE_MS * (check + 1));
+    }
+
+    transitionPayment(PAYMENT_STATES.TIMED_OUT, { error: PAYMENT_FAILURE_MESSAGES.timed_out });
+}
+
+/**
+ * Cancel the payment in progress. Polling stops first; a last status check
+ * makes sure a payment the buyer already approved is not reported as cancelled.
+ * Between the pushes of a split payment this means "pay the rest later".
+ */
+async function cancelPayment() {
+    const payment = getPendingPayment();
+    if (!payment || !isPaymentActive(payment)) {
+        hidePaymentOverlay();
+        resetPayButton();
+        return;
+    }
+
+    if (payment.state === PAYMENT_STATES.PART_PAID) {
+        transitionPayment(PAYMENT_STATES.SUCCESS, { error: null });
+        return;
+    }
+
+    stopPaymentTimers();
+    const cancelBtn = document.getElementById('cancel-payment-btn');
+    cancelBtn.disabled = true;
+    cancelBtn.textContent = 'Cancelling...';
+
+    try {
+        if (payment.checkout_request_id) {
+            const data = await fetchPaymentStatus(payment.checkout_request_id, 0);
+            if (data && applyPaymentStatus(data)) return;
+
+            await notifyPaymentCancelled(payment.checkout_request_id);
+        }
+
+        settleUnpaidAttempt(PAYMENT_STATES.CANCELLED, PAYMENT_FAILURE_MESSAGES.cancelled);
+
+    } finally {
+        cancelBtn.disabled = false;
+        // Label depends on the state the cancel ended in
+        renderPaymentState(getPendingPayment());
+    }
+}
+
+/**
+ * Tell the backend the buyer cancelled, so a late M-Pesa callback is not turned into an order
+ * @param {string} checkoutRequestId - M-Pesa checkout request ID
+ */
+async function notifyPaymentCancelled(checkoutRequestId) {
+    try {
+        await apiRequest(CONFIG.PAYMENT_CANCEL_ENDPOINT, {
+            method: 'POST',
+            body: {
+                checkout_request_id: checkoutRequestId,
+                user_id: getUserId(),
+                timestamp: new Date().toISOString()
+            }
+        });
+    } catch (error) {
+        console.error('❌ Error cancelling payment:', error.message);
+    }
+}
+
+/**
+ * Show the overlay text and countdown for the current state
+ * @param {object|null} payment - Payment record
+ */
+function renderPaymentState(payment) {
+    if (!payment || !isPaymentActive(payment)) {
+        hidePaymentOverlay();
+        return;
+    }
+
+    showPaymentOverlay();
+    document.getElementById('pay-button').disabled = true;
+
+    const statusText = document.getElementById('payment-status-text');
+    const countdown = document.getElementById('countdown-timer');
+    const remaining = Math.max(0, Math.ceil(
+        (new Date(payment.started_at).getTime() + CONFIG.PAYMENT_WINDOW_MS - Date.now()) / 1000
+    ));
+
+    const instalments = payment.plan ? payment.plan.instalments : [payment.amount];
+    const promptLabel = instalments.length > 1
+        ? `Prompt ${(payment.instalments_paid || 0) + 1} of ${instalments.length}: `
+        : '';
+    const partPaid = payment.state === PAYMENT_STATES.PART_PAID;
+
+    document.getElementById('next-instalment-btn')?.classList.toggle('hidden', !partPaid);
+    document.getElementById('cancel-payment-btn').textContent = partPaid ? 'Pay the rest later' : 'Cancel Payment';
+
+    if (payment.state === PAYMENT_STATES.INITIATED) {
+        statusText.textContent = `${promptLabel}Sending the payment request to your phone...`;
+        countdown.textContent = '';
+    } else if (payment.state === PAYMENT_STATES.AWAITING_PIN) {
+        statusText.textContent = `${promptLabel}Enter your M-Pesa PIN on ${payment.phone || 'your phone'} to pay KES ${formatPrice(payment.amount)}.`;
+        countdown.textContent = `Waiting... (${remaining}s remaining)`;
+    } else if (partPaid) {
+        const next = instalments[payment.instalments_paid];
+        statusText.textContent = `${payment.error ? payment.error + '. ' : ''}KES ${formatPrice(payment.paid_amount)} of KES ${formatPrice(payment.plan.due_now)} paid.`;
+        countdown.textContent = `Send prompt ${payment.instalments_paid + 1} of ${instalments.length} for KES ${formatPrice(next)} when you are ready.`;
+    } else {
+        statusText.textContent = 'Confirming your payment with M-Pesa...';
+        countdown.textContent = 'Almost done, please keep this page open.';
+    }
+}
+
+/**
+ * Hand a final state over to the success or failure handlers
+ * @param {object} payment - Settled payment record
+ */
+function onPaymentSettled(payment) {
+    // Declined or cancelled means nothing was paid, so a retry is a new order.
+    // After a timeout the reference is kept: the retry then finds the earlier
+    // payment if it did go through.
+    // Balance payments use the order's own reference, not the cart's.
+    if (payment.state !== PAYMENT_STATES.TIMED_OUT && payment.plan?.type !== 'balance') {
+        clearClientOrderRef();
+    }
+
+    if (payment.state === PAYMENT_STATES.SUCCESS) {
+        handlePaymentSuccess(payment);
+    } else {
+        handlePaymentFailure(payment.error || PAYMENT_FAILURE_MESSAGES[payment.state] || 'Payment failed');
+    }
+}
+
+/**
+ * Handle successful payment
+ * @param {object} data - Payment response data
+ */
+async function handlePaymentSuccess(data) {
+    try {
+        console.log('✅ Payment successful!', data);
+
+        // Clear the cart (unless this paid off an earlier order) and the settled payment
+        if (data.plan?.type !== 'balance') {
+            sessionStorage.removeItem('cart');
+            localStorage.removeItem('cart');
+        }
+        clearPendingPayment();
+        updateCartBadge();
+
+        // Hide overlay
+        hidePaymentOverlay();
+
+        // Show success message, with what is still owed on a deposit or part payment
+        const balance = data.plan ? Math.max(0, data.plan.order_total - (data.paid_amount || 0)) : 0;
+        let message = data.pending_verification
+            ? 'Paybill payment received. We will confirm it shortly.'
+            : 'Payment successful! Order confirmed.';
+        if (data.plan?.type === 'credit') {
+            message = `Order placed on account. KES ${formatPrice(balance)} due on ${formatDate(data.plan.due_date)}.`;
+        } else if (balance > 0) {
+            message += ` KES ${formatPrice(balance)} balance outstanding.`;
+        }
+
+        const successMsg = document.createElement('div');
+        successMsg.className = 'fixed top-4 right-4 bg-green-500 text-white px-6 py-4 rounded-lg shadow-lg z-50 flex items-center gap-3';
+        successMsg.innerHTML = `
+            <span>✅</span>
+            <span>${escapeHtml(message)}</span>
+        `;
         document.body.appendChild(successMsg);
 
-        // Redirect to tracking dashboard after 2 seconds
-        setTimeout(() => {
-            window.location.href = '/tracking?order_id=' + (data.order_id || data.merchant_request_id);
-        }, 2000);
+        // Redirect to tracking dashboard after 2 seconds
+        setTimeout(() => {
+            const orderId = data.order_id || data.merchant_request_id;
+            window.location.href = orderId ? 'dashbord.html?order_id=' + encodeURIComponent(orderId) : 'dashbord.html';
+        }, 2000);
+
+    } catch (error) {
+        console.error('❌ Error handling success:', error);
+        handlePaymentFailure('Order confirmation failed');
+    }
+}
+
+/**
+ * Handle payment failure
+ * @param {string} errorMessage - Error message
+ */
+function handlePaymentFailure(errorMessage) {
+    try {
+        console.error('❌ Payment failed:', errorMessage);
+
+        // Hide overlay
+        hidePaymentOverlay();
+
+        // Nothing left to resume
+        clearPendingPayment();
+        resetPayButton();
+
+        // Show error message
+        const errorMsg = document.createElement('div');
+        errorMsg.className = 'fixed top-4 right-4 bg-red-500 text-white px-6 py-4 rounded-lg shadow-lg z-50 flex items-center gap-3';
+        errorMsg.innerHTML = `
+            <span>❌</span>
+            <span>${escapeHtml(errorMessage)}</span>
+        `;
+        document.body.appendChild(errorMsg);
+
+        // Remove error message after 5 seconds
+        setTimeout(() => {
+            errorMsg.remove();
+        }, 5000);
+
+    } catch (error) {
+        console.error('❌ Error handling failure:', error);
+        alert('An unexpected error occurred. Please try again.');
+    }
+}
+
+/**
+ * Get logged-in user ID for checkout
+ * Orders are never placed under a made-up ID
+ * @returns {string} User ID
+ */
+function getUserId() {
+    const userId = checkUserSession();
+    if (!userId) {
+        handleSessionExpired();
+        throw new AuthError('Not logged in');
+    }
+    return userId;
+}
+
+/**
+ * Re-enable the pay button with the current total
+ */
+function resetPayButton() {
+    const payButton = document.getElementById('pay-button');
+    if (!payButton) return;
+
+    payButton.disabled = false;
+    payButton.textContent = getPayButtonLabel(getCheckoutPaymentPlan());
+}
+
+/**
+ * Show payment processing overlay
+ */
+function showPaymentOverlay() {
+    const overlay = document.getElementById('payment-overlay');
+    if (overlay) {
+        overlay.classList.remove('hidden');
+    }
+}
+
+/**
+ * Hide payment processing overlay
+ */
+function hidePaymentOverlay() {
+    const overlay = document.getElementById('payment-overlay');
+    if (overlay) {
+        overlay.classList.add('hidden');
+    }
+}
+
+/**
+ * Show phone number error
+ * @param {string} message - Error message
+ */
+function showPhoneError(message) {
+    const input = document.getElementById('phone-input');
+    input.classList.add('error');
+    
+    let errorDiv = input.nextElementSibling;
+    if (!errorDiv || !errorDiv.classList.contains('form-error')) {
+        errorDiv = document.createElement('div');
+        errorDiv.className = 'form-error';
+        input.after(errorDiv);
+    }
+    
+    errorDiv.textContent = message;
+    errorDiv.classList.add('show');
+
+    // Remove error after 3 seconds
+    setTimeout(() => {
+        input.classList.remove('error');
+        errorDiv.classList.remove('show');
+    }, 3000);
+}
+
+/**
+ * Show checkout error
+ * @param {string} message - Error message
+ */
+function showCheckoutError(message) {
+    const main = document.querySelector('main');
+    if (main) {
+        main.innerHTML = `
+            <div class="text-center py-20">
+                <p class="text-red-600 text-lg font-semibold mb-4">⚠ ${escapeHtml(message)}</p>
+                <a href="/" class="inline-block bg-blue-600 text-white px-6 py-3 rounded-lg hover:bg-blue-700">
+                    ← Back to Marketplace
+                </a>
+            </div>
+        `;
+    }
+}
+
+/**
+ * Setup event listeners for checkout
+ */
+function setupCheckoutEventListeners() {
+    // Payment form submission
+    const paymentForm = document.getElementById('payment-form');
+    if (paymentForm) {
+        paymentForm.addEventListener('submit', initiatePayment);
+    }
+
+    // Cancel payment button
+    document.getElementById('cancel-payment-btn')?.addEventListener('click', cancelPayment);
+    document.getElementById('next-instalment-btn')?.addEventListener('click', sendNextInstalment);
+
+    // Payment plan and Paybill fallback
+    document.querySelectorAll('input[name="payment-plan"]').forEach(input => {
+        input.addEventListener('change', renderPaymentPlan);
+    });
+    document.getElementById('paybill-toggle')?.addEventListener('click', () => {
+        document.getElementById('paybill-panel').classList.toggle('hidden');
+    });
+    document.getElementById('paybill-confirm-btn')?.addEventListener('click', confirmPaybillPayment);
+
+    setupDeliveryEventListeners();
+
+    // Another tab settled or cancelled the shared payment
+    window.addEventListener('storage', (e) => {
+        if (e.key !== getPendingPaymentKey()) return;
+
+        const payment = getPendingPayment();
+        if (!payment) {
+            stopPaymentTimers();
+            hidePaymentOverlay();
+            resetPayButton();
+        } else if (!isPaymentActive(payment)) {
+            stopPaymentTimers();
+            onPaymentSettled(payment);
+        }
+    });
+
+    // Phone input validation on input
+    const phoneInput = document.getElementById('phone-input');
+    if (phoneInput) {
+        phoneInput.addEventListener('input', (e) => {
+            // Remove any non-digit characters
+            e.target.value = e.target.value.replace(/[^0-9]/g, '');
+            
+            // Limit to 9 digits
+            if (e.target.value.length > 9) {
+                e.target.value = e.target.value.slice(0, 9);
+            }
+        });
+    }
+}
+
+// ========================================
+// ORDER TRACKING DASHBOARD LOGIC
+// ========================================
+
+/**
+ * Order status stages in fulfilment order
+ */
+const ORDER_STAGES = [
+    { status: 'pending', icon: '📝', title: 'Order Placed', description: 'Payment confirmed via M-Pesa' },
+    { status: 'processing', icon: '🏭', title: 'Processing', description: 'Supplier is preparing your goods' },
+    { status: 'shipped', icon: '🚢', title: 'Shipped', description: 'In transit to Kenya and clearing customs' },
+    { status: 'delivered', icon: '✅', title: 'Delivered', description: 'Goods received at your location' }
+];
+
+/**
+ * Fetch orders for the logged-in user from n8n
+ * @param {string} userId - User ID
+ * @returns {Promise<array>} Orders
+ */
+async function fetchOrders(userId) {
+    try {
+        const data = await apiRequest(CONFIG.ORDERS_ENDPOINT, {
+            query: { user_id: userId }
+        });
+
+        if (!data || !data.orders || !Array.isArray(data.orders)) {
+            throw new Error('Invalid response format from orders endpoint');
+        }
+
+        // Newest orders first, one per client order reference
+        return dedupeOrdersByReference(data.orders)
+            .sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+
+    } catch (error) {
+        console.error('❌ Error fetching orders:', error.message);
+        throw error;
+    }
+}
+
+/**
+ * Collapse orders created for the same checkout reference (e.g. a retried
+ * checkout before idempotency keys) into one, preferring the paid one
+ * @param {array} orders - Orders from the backend
+ * @returns {array} Orders with one entry per client_order_ref
+ */
+function dedupeOrdersByReference(orders) {
+    const byReference = new Map();
+    const result = [];
+
+    orders.forEach(order => {
+        if (!order.client_order_ref) {
+            result.push(order);
+            return;
+        }
+
+        const current = byReference.get(order.client_order_ref);
+        const better = !current ||
+            (isOrderPaid(order) && !isOrderPaid(current)) ||
+            (isOrderPaid(order) === isOrderPaid(current) && new Date(order.created_at) > new Date(current.created_at));
+        if (better) {
+            byReference.set(order.client_order_ref, order);
+        }
+    });
+
+    return result.concat([...byReference.values()]);
+}
+
+/**
+ * Initialize order tracking dashboard
+ */
+async function initializeDashboard() {
+    setupDashboardEventListeners();
+    loadRfqs();
+    loadSampleRequests();
+    await loadOrders();
+    loadCreditAccount();
+
+    // Header "Messages" link from other pages
+    if (getUrlParam('messages') === 'open') {
+        openMessagesInbox();
+    }
+
+    // Confirm a just-paid order and open it
+    const paidOrderId = getUrlParam('order_id');
+    if (paidOrderId && window.dashboardOrders?.some(order => order.order_id === paidOrderId)) {
+        showDashboardAlert('success', 'Payment received', `Order ${paidOrderId} is confirmed. We'll keep you updated at every step.`);
+        selectOrder(paidOrderId);
+    }
+}
+
+/**
+ * Load and render the user's orders
+ */
+async function loadOrders() {
+    const loadingState = document.getElementById('loading-state');
+    const ordersContainer = document.getElementById('orders-container');
+    const dashboardEmptyState = document.getElementById('empty-state');
+    const refreshBtn = document.getElementById('refresh-btn');
+
+    try {
+        refreshBtn.disabled = true;
+
+        const orders = await fetchOrders(checkUserSession());
+        window.dashboardOrders = orders;
+
+        loadingState.classList.add('hidden');
+
+        if (orders.length === 0) {
+            ordersContainer.classList.add('hidden');
+            dashboardEmptyState.classList.remove('hidden');
+            return;
+        }
+
+        dashboardEmptyState.classList.add('hidden');
+        ordersContainer.classList.remove('hidden');
+        renderOrdersList(orders);
+        renderCreditSection();
+
+        // Keep the selected order open across refreshes
+        if (window.selectedOrderId && orders.some(order => order.order_id === window.selectedOrderId)) {
+            selectOrder(window.selectedOrderId);
+        }
+
+        console.log(`✅ Loaded ${orders.length} orders`);
+
+    } catch (error) {
+        loadingState.classList.add('hidden');
+        showDashboardAlert('error', 'Could not load orders', getErrorMessage(error, 'Please check your connection and try again.'));
+    } finally {
+        refreshBtn.disabled = false;
+    }
+}
+
+/**
+ * Render orders list
+ * @param {array} orders - Orders
+ */
+function renderOrdersList(orders) {
+    const list = document.getElementById('orders-list');
+    list.innerHTML = '';
+
+    orders.forEach(order => {
+        const status = normalizeOrderStatus(order.status);
+        const item = document.createElement('div');
+        item.className = `order-item ${order.order_id === window.selectedOrderId ? 'active' : ''}`;
+        item.dataset.orderId = order.order_id;
+        const balance = getOrderBalance(order);
+        item.innerHTML = `
+            <div class="order-item-id">${escapeHtml(order.order_id)}</div>
+            <div class="order-item-date">${formatDate(order.created_at)} • ${escapeHtml(getStatusLabel(status))}</div>
+            ${balance > 0 ? `<div class="order-item-balance">KES ${formatPrice(balance)} outstanding</div>` : ''}
+        `;
+        item.addEventListener('click', () => selectOrder(order.order_id));
+        list.appendChild(item);
+    });
+}
+
+/**
+ * Select an order and show its details
+ * @param {string} orderId - Order ID
+ */
+function selectOrder(orderId) {
+    const order = (window.dashboardOrders || []).find(o => o.order_id === orderId);
+    if (!order) return;
+
+    window.selectedOrderId = orderId;
+
+    document.querySelectorAll('#orders-list .order-item').forEach(item => {
+        item.classList.toggle('active', item.dataset.orderId === orderId);
+    });
+
+    renderOrderDetail(order);
+    loadOrderIssues(orderId);
+
+    document.getElementById('no-order-state').classList.add('hidden');
+    document.getElementById('order-detail-container').classList.remove('hidden');
+}
+
+/**
+ * Render order detail panel
+ * @param {object} order - Order object
+ */
+function renderOrderDetail(order) {
+    const status = normalizeOrderStatus(order.status);
+
+    document.getElementById('order-id-display').textContent = order.order_id;
+    document.getElementById('order-date-display').textContent = formatDate(order.created_at);
+    document.getElementById('order-amount-display').textContent = `KES ${formatPrice(order.total_amount || 0)}`;
+    renderOrderBalance(order);
+    document.getElementById('shipping-method-display').textContent = getOrderShippingLabel(order);
+    document.getElementById('delivery-date-display').textContent = formatDate(order.expected_delivery);
+
+    const badge = document.getElementById('status-badge');
+    badge.className = `status-${status}`;
+    badge.textContent = getStatusLabel(status);
+
+    // Items ordered
+    const itemsList = document.getElementById('order-items-list');
+    itemsList.innerHTML = '';
+    (order.items || []).forEach(item => {
+        const row = document.createElement('div');
+        row.className = 'order-item-row';
+        row.innerHTML = `
+            <div>
+                <div class="order-item-name">${escapeHtml(item.product_name || 'Unknown Product')}</div>
+                <div class="order-item-qty">${item.quantity || 0} units × KES ${formatPrice(item.unit_price || 0)}</div>
+            </div>
+            <div class="order-item-price">KES ${formatPrice(item.total || (item.unit_price || 0) * (item.quantity || 0))}</div>
+        `;
+        itemsList.appendChild(row);
+    });
+
+    // Tax invoices are only issued once payment has settled
+    document.getElementById('download-invoice-btn').disabled = !isOrderPaid(order);
+
+    renderOrderTimeline(order);
+}
+
+/**
+ * Amount still owed on an order (deposit or part payment)
+ * @param {object} order - Order object
+ * @returns {number} Outstanding balance in KES
+ */
+function getOrderBalance(order) {
+    if (order.balance_due !== undefined && order.balance_due !== null) {
+        return Math.max(0, Number(order.balance_due) || 0);
+    }
+    if (order.amount_paid !== undefined && order.amount_paid !== null) {
+        return Math.max(0, (order.total_amount || 0) - (Number(order.amount_paid) || 0));
+    }
+    return 0;
+}
+
+/**
+ * Show what has been paid and what is still owed on the selected order
+ * @param {object} order - Order object
+ */
+function renderOrderBalance(order) {
+    const container = document.getElementById('order-balance-display');
+    if (!container) return;
+
+    const balance = getOrderBalance(order);
+    container.classList.toggle('hidden', balance <= 0);
+    if (balance <= 0) return;
+
+    const paid = Math.max(0, (order.total_amount || 0) - balance);
+    const paybill = CONFIG.MPESA_PAYBILL_NUMBER
+        ? `<p class="text-xs text-gray-600 mt-1">Pay via Paybill ${escapeHtml(CONFIG.MPESA_PAYBILL_NUMBER)}, account ${escapeHtml(order.client_order_ref || order.order_id)}.</p>`
+        : '';
+    container.innerHTML = `
+        <p class="text-sm text-gray-700">Paid KES ${formatPrice(paid)}</p>
+        <p class="text-sm font-semibold text-amber-700">KES ${formatPrice(balance)} outstanding${order.balance_due_date ? ` • due ${formatDate(order.balance_due_date)}` : ''}</p>
+        <a href="checkout.html?settle=${encodeURIComponent(order.order_id)}" class="inline-block mt-2 bg-green-600 hover:bg-green-700 text-white px-3 py-1 rounded-lg text-sm font-semibold">Pay with M-Pesa</a>
+        ${paybill}
+    `;
+}
+
+/**
+ * Render order status timeline
+ * @param {object} order - Order object
+ */
+function renderOrderTimeline(order) {
+    const timeline = document.querySelector('.progress-timeline');
+    timeline.innerHTML = '';
+
+    const status = normalizeOrderStatus(order.status);
+    const history = order.status_history || [];
+    const currentIndex = ORDER_STAGES.findIndex(stage => stage.status === status);
+
+    ORDER_STAGES.forEach((stage, index) => {
+        // Orders with an open issue keep their last known stage as current
+        let stageState = 'pending';
+        if (status === 'delivered' || index < currentIndex) {
+            stageState = 'completed';
+        } else if (index === currentIndex || (currentIndex === -1 && index === 0)) {
+            stageState = 'current';
+        }
+
+        const event = history.find(entry => normalizeOrderStatus(entry.status) === stage.status);
+        const element = document.createElement('div');
+        element.className = `timeline-stage ${stageState}`;
+        element.innerHTML = `
+            <div class="timeline-indicator">${stageState === 'completed' ? '✓' : stage.icon}</div>
+            <div class="timeline-content">
+                <div class="timeline-title">${stage.title}</div>
+                <div class="timeline-description">${escapeHtml(event?.note || stage.description)}</div>
+                ${event?.timestamp ? `<div class="timeline-timestamp">${formatDate(event.timestamp)}</div>` : ''}
+            </div>
+        `;
+        timeline.appendChild(element);
+    });
+}
+
+/**
+ * Normalize backend status values to dashboard stages
+ * @param {string} status - Raw status
+ * @returns {string} One of pending, processing, shipped, delivered, issue
+ */
+function normalizeOrderStatus(status) {
+    const value = (status || 'pending').toLowerCase();
+    const aliases = {
+        paid: 'pending',
+        confirmed: 'pending',
+        in_production: 'processing',
+        in_transit: 'shipped',
+        customs: 'shipped',
+        completed: 'delivered',
+        disputed: 'issue'
+    };
+    return aliases[value] || value;
+}
+
+/**
+ * Get display label for a status
+ * @param {string} status - Normalized status
+ * @returns {string} Label
+ */
+function getStatusLabel(status) {
+    const stage = ORDER_STAGES.find(s => s.status === status);
+    if (stage) return stage.title;
+    return status === 'issue' ? 'Issue Reported' : 'Pending';
+}
+
+/**
+ * Show dashboard alert banner
+ * @param {string} type - success, info, warning or error
+ * @param {string} title - Alert title
+ * @param {string} message - Alert message
+ */
+function showDashboardAlert(type, title, message) {
+    const banner = document.getElementById('alert-banner');
+    if (!banner) return;
+
+    const icons = { success: '✅', info: 'ℹ️', warning: '⚠️', error: '❌' };
+    banner.className = `${type} mb-6 p-4 rounded-lg border-l-4 flex items-start gap-3`;
+    document.getElementById('alert-icon').textContent = icons[type] || 'ℹ️';
+    document.getElementById('alert-title').textContent = title;
+    document.getElementById('alert-message').textContent = message;
+}
+
+/**
+ * Hide dashboard alert banner
+ */
+function hideDashboardAlert() {
+    document.getElementById('alert-banner')?.classList.add('hidden');
+}
+
+/**
+ * Setup event listeners for dashboard
+ */
+function setupDashboardEventListeners() {
+    // Refresh orders
+    document.getElementById('refresh-btn')?.addEventListener('click', () => {
+        hideDashboardAlert();
+        loadOrders();
+    });
+
+    // Logout
+    document.getElementById('logout-btn')?.addEventListener('click', async () => {
+        clearUserSession();
+        // Wait for the offline cache to clear; leaving the page would abort it
+        await clearCachedResponses();
+        window.location.href = 'login.html';
+    });
+
+    // Contact supplier: message thread for the selected order
+    document.getElementById('contact-supplier-btn')?.addEventListener('click', () => {
+        const order = window.dashboardOrders?.find(o => o.order_id === window.selectedOrderId);
+        if (!order) return;
+
+        openMessageThread({
+            threadType: 'order',
+            threadRef: order.order_id,
+            title: order.supplier_name || (order.items && order.items[0]?.supplier_name) || 'Supplier',
+            subtitle: `Order ${order.order_id}`
+        });
+    });
+
+    // Invoice download
+    document.getElementById('download-invoice-btn')?.addEventListener('click', downloadInvoice);
+
+    // Quotation requests
+    document.getElementById('submit-rfq-btn')?.addEventListener('click', submitRfq);
+    document.getElementById('refresh-rfqs-btn')?.addEventListener('click', loadRfqs);
+
+    // Sample requests
+    document.getElementById('refresh-samples-btn')?.addEventListener('click', loadSampleRequests);
+    document.getElementById('rfq-delivery-date')?.addEventListener('change', (e) => {
+        const draft = getRfqDraft();
+        draft.delivery_date = e.target.value;
+        saveRfqDraft(draft);
+    });
+    document.getElementById('rfq-notes')?.addEventListener('change', (e) => {
+        const draft = getRfqDraft();
+        draft.notes = e.target.value;
+        saveRfqDraft(draft);
+    });
+
+    // Issue reporting
+    document.getElementById('report-issue-btn')?.addEventListener('click', openIssueModal);
+    document.getElementById('close-modal-btn')?.addEventListener('click', closeIssueModal);
+    document.getElementById('cancel-issue-btn')?.addEventListener('click', closeIssueModal);
+    document.querySelector('#issue-modal .modal-overlay')?.addEventListener('click', closeIssueModal);
+    document.getElementById('issue-form')?.addEventListener('submit', handleIssueSubmit);
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') {
+            closeIssueModal();
+            closeMessagesPanel();
+        }
+    });
+
+    // Header "Messages" link opens the inbox in place
+    document.getElementById('messages-link')?.addEventListener('click', (e) => {
+        e.preventDefault();
+        openMessagesInbox();
+    });
+}
+
+// ========================================
+// ISSUE REPORTING
+// ========================================
+
+/**
+ * Issue status display labels and badge classes
+ */
+const ISSUE_STATUSES = {
+    open: { label: 'Open', className: 'status-issue' },
+    investigating: { label: 'Investigating', className: 'status-processing' },
+    resolved: { label: 'Resolved', className: 'status-delivered' },
+    rejected: { label: 'Closed', className: 'status-pending' }
+};
+
+/**
+ * Issue type display labels (match the issue-type select options)
+ */
+const ISSUE_TYPE_LABELS = {
+    delayed: 'Order Delayed',
+    damaged: 'Items Damaged',
+    incorrect: 'Incorrect Items',
+    missing: 'Missing Items',
+    quality: 'Quality Issue',
+    other: 'Other'
+};
+
+/**
+ * Fetch issues reported for an order
+ * @param {string} orderId - Order ID
+ * @returns {Promise<array>} Issues
+ */
+async function fetchOrderIssues(orderId) {
+    try {
+        const data = await apiRequest(CONFIG.ISSUES_ENDPOINT, {
+            query: { order_id: orderId }
+        });
+        return data && Array.isArray(data.issues) ? data.issues : [];
+
+    } catch (error) {
+        console.error('❌ Error fetching issues:', error.message);
+        throw error;
+    }
+}
+
+/**
+ * Load and render issues for the selected order
+ * @param {string} orderId - Order ID
+ */
+async function loadOrderIssues(orderId) {
+    const issuesCard = document.getElementById('issues-card');
+    if (!issuesCard) return;
+
+    try {
+        const issues = await fetchOrderIssues(orderId);
+
+        // Ignore late responses for a previously selected order
+        if (window.selectedOrderId !== orderId) return;
+
+        renderOrderIssues(issues);
+
+    } catch (error) {
+        if (window.selectedOrderId === orderId) {
+            issuesCard.classList.add('hidden');
+        }
+    }
+}
+
+/**
+ * Render issues list for the selected order
+ * @param {array} issues - Issues
+ */
+function renderOrderIssues(issues) {
+    const issuesCard = document.getElementById('issues-card');
+    const list = document.getElementById('issues-list');
+    list.innerHTML = '';
+
+    if (issues.length === 0) {
+        issuesCard.classList.add('hidden');
+        return;
+    }
+
+    issues
+        .sort((a, b) => new Date(b.created_at) - new Date(a.created_at))
+        .forEach(issue => {
+            const status = ISSUE_STATUSES[(issue.status || 'open').toLowerCase()] || ISSUE_STATUSES.open;
+            const element = document.createElement('div');
+            element.className = 'issue-row';
+            element.innerHTML = `
+                <div class="flex items-start justify-between gap-3 mb-1">
+                    <div>
+                        <div class="order-item-name">${escapeHtml(ISSUE_TYPE_LABELS[issue.issue_type] || 'Issue')}</div>
+                        <div class="timeline-timestamp">Reported ${formatDate(issue.created_at)}${issue.issue_id ? ` • ${escapeHtml(issue.issue_id)}` : ''}</div>
+                    </div>
+                    <span class="issue-status ${status.className}">${status.label}</span>
+                </div>
+                <p class="text-sm text-gray-700">${escapeHtml(issue.description || '')}</p>
+                ${issue.resolution ? `<p class="text-sm text-green-700 mt-2"><strong>Resolution:</strong> ${escapeHtml(issue.resolution)}</p>` : ''}
+            `;
+            list.appendChild(element);
+        });
+
+    issuesCard.classList.remove('hidden');
+}
+
+/**
+ * Open issue modal for the selected order
+ */
+function openIssueModal() {
+    if (!window.selectedOrderId) return;
+
+    document.getElementById('issue-form').reset();
+    document.getElementById('issue-order-id').value = window.selectedOrderId;
+    document.getElementById('issue-error').classList.add('hidden');
+
+    const modal = document.getElementById('issue-modal');
+    modal.classList.remove('hidden');
+    modal.classList.add('active');
+    document.getElementById('issue-type').focus();
+}
+
+/**
+ * Close issue modal
+ */
+function closeIssueModal() {
+    const modal = document.getElementById('issue-modal');
+    if (!modal) return;
+
+    modal.classList.remove('active');
+    modal.classList.add('hidden');
+}
+
+/**
+ * Validate issue form input
+ * @param {string} issueType - Selected issue type
+ * @param {string} description - Issue description
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateIssueForm(issueType, description) {
+    if (!ISSUE_TYPE_LABELS[issueType]) {
+        return 'Please select an issue type';
+    }
+    if (description.length < 20) {
+        return 'Please describe the issue in at least 20 characters';
+    }
+    if (description.length > 1000) {
+        return 'Description must be 1000 characters or less';
+    }
+    return null;
+}
+
+/**
+ * Handle issue form submission
+ * @param {event} e - Form event
+ */
+async function handleIssueSubmit(e) {
+    e.preventDefault();
+
+    const errorEl = document.getElementById('issue-error');
+    const submitBtn = document.getElementById('submit-issue-btn');
+    const orderId = document.getElementById('issue-order-id').value;
+    const issueType = document.getElementById('issue-type').value;
+    const description = document.getElementById('issue-description').value.trim();
+
+    const validationError = validateIssueForm(issueType, description);
+    if (validationError) {
+        errorEl.textContent = validationError;
+        errorEl.classList.remove('hidden');
+        return;
+    }
+
+    try {
+        errorEl.classList.add('hidden');
+        submitBtn.disabled = true;
+
+        const data = await apiRequest(CONFIG.REPORT_ISSUE_ENDPOINT, {
+            method: 'POST',
+            body: {
+                order_id: orderId,
+                user_id: checkUserSession(),
+                issue_type: issueType,
+                description: description,
+                timestamp: new Date().toISOString()
+            }
+        }) || {};
+
+        console.log('✅ Issue reported:', data.issue_id || orderId);
+
+        closeIssueModal();
+        showDashboardAlert('success', 'Issue reported', `We've logged your report for order ${orderId}. Our team will follow up with the supplier.`);
+        loadOrderIssues(orderId);
+
+    } catch (error) {
+        console.error('❌ Error reporting issue:', error.message);
+        errorEl.textContent = getErrorMessage(error, 'Failed to submit report. Please try again.');
+        errorEl.classList.remove('hidden');
+    } finally {
+        submitBtn.disabled = false;
+    }
+}
+
+// ========================================
+// INVOICE DOWNLOAD
+// ========================================
+
+/**
+ * Check whether an order has been paid
+ * Only an explicit "paid" status counts; missing or unknown statuses are unpaid,
+ * so a tax invoice is never issued for an order the backend has not confirmed.
+ * @param {object} order - Order object
+ * @returns {boolean} Paid
+ */
+function isOrderPaid(order) {
+    return typeof order.payment_status === 'string' && order.payment_status.toLowerCase() === 'paid';
+}
+
+/**
+ * Download invoice for the selected order
+ * Uses the backend PDF when available, otherwise a printable HTML invoice
+ */
+async function downloadInvoice() {
+    const order = (window.dashboardOrders || []).find(o => o.order_id === window.selectedOrderId);
+    if (!order || !isOrderPaid(order)) return;
+
+    const invoiceBtn = document.getElementById('download-invoice-btn');
+    invoiceBtn.disabled = true;
+
+    // Open the window during the click so popup blockers allow it
+    const invoiceWindow = window.open('', '_blank');
+
+    try {
+        const data = await apiRequest(CONFIG.INVOICE_ENDPOINT, {
+            method: 'POST',
+            body: {
+                order_id: order.order_id,
+                user_id: checkUserSession(),
+                timestamp: new Date().toISOString()
+            },
+            timeoutMs: CONFIG.DOCUMENT_TIMEOUT_MS
+        });
+
+        if (!data || !data.pdf_url) {
+            throw new Error('No invoice PDF returned');
+        }
+
+        if (invoiceWindow) {
+            invoiceWindow.location.href = data.pdf_url;
+        } else {
+            window.location.href = data.pdf_url;
+        }
+
+        console.log('✅ Invoice generated successfully');
+
+    } catch (error) {
+        console.error('❌ Error generating invoice, using printable fallback:', error.message);
+        openPrintableInvoice(order, invoiceWindow);
+    } finally {
+        invoiceBtn.disabled = false;
+    }
+}
+
+/**
+ * Render a printable HTML tax invoice in a new window
+ * @param {object} order - Order object
+ * @param {Window|null} invoiceWindow - Window opened during the click, if any
+ */
+function openPrintableInvoice(order, invoiceWindow) {
+    const targetWindow = invoiceWindow || window.open('', '_blank');
+    if (!targetWindow) {
+        showDashboardAlert('error', 'Invoice blocked', 'Please allow pop-ups for TradeHub to view your invoice.');
+        return;
+    }
+
+    targetWindow.document.open();
+    targetWindow.document.write(buildInvoiceHtml(order, getUserData() || {}));
+    targetWindow.document.close();
+    targetWindow.focus();
+    targetWindow.print();
+}
+
+/**
+ * Build printable invoice HTML
+ * @param {object} order - Order object
+ * @param {object} buyer - Buyer data from saveUserSession() (KRA PIN comes from the order)
+ * @returns {string} Invoice HTML document
+ */
+function buildInvoiceHtml(order, buyer) {
+    const items = order.items || [];
+    const totals = summarizeCostComponents(items);
+    const invoiceNumber = order.invoice_number || `INV-${order.order_id}`;
+
+    // Fall back to the order total when line breakdowns are missing
+    const grandTotal = totals.total > 0 ? totals.total : (order.total_amount || 0);
+
+    const itemRows = items.map(item => `
+        <tr>
+            <td>${escapeHtml(item.product_name || 'Unknown Product')}${item.all_inclusive ? ' <span class="muted">(quoted, all-inclusive)</span>' : ''}</td>
+            <td class="num">${item.quantity || 0}</td>
+            <td class="num">KES ${formatPrice(item.unit_price || 0)}</td>
+            <td class="num">KES ${formatPrice(item.total || (item.unit_price || 0) * (item.quantity || 0))}</td>
+        </tr>
+    `).join('');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>Tax Invoice ${escapeHtml(invoiceNumber)} - TradeHub</title>
+    <style>
+        body { font-family: Arial, sans-serif; color: #111827; margin: 40px; font-size: 14px; }
+        h1 { font-size: 22px; margin: 0 0 4px; }
+        .muted { color: #6b7280; font-size: 12px; }
+        .header, .parties { display: flex; justify-content: space-between; margin-bottom: 24px; }
+        table { width: 100%; border-collapse: collapse; margin-bottom: 24px; }
+        th, td { padding: 8px; border-bottom: 1px solid #e5e7eb; text-align: left; }
+        th { background: #f3f4f6; font-size: 12px; text-transform: uppercase; }
+        .num { text-align: right; }
+        .summary { width: 320px; margin-left: auto; }
+        .summary td { border: none; padding: 4px 8px; }
+        .summary .total td { border-top: 2px solid #111827; font-weight: bold; font-size: 16px; }
+    </style>
+</head>
+<body>
+    <div class="header">
+        <div>
+            <h1>TradeHub</h1>
+            <div class="muted">Kenya-China Wholesale Trade Platform</div>
+        </div>
+        <div class="num">
+            <h1>TAX INVOICE</h1>
+            <div>Invoice No: <strong>${escapeHtml(invoiceNumber)}</strong></div>
+            <div>Order No: ${escapeHtml(order.order_id)}</div>
+            <div>Date: ${formatDate(order.paid_at || order.created_at)}</div>
+        </div>
+    </div>
+
+    <div class="parties">
+        <div>
+            <div class="muted">BILL TO</div>
+            <div><strong>${escapeHtml(order.buyer_business_name || buyer.business_name || 'Registered Business')}</strong></div>
+            <div>KRA PIN: ${escapeHtml(order.buyer_kra_pin || '-')}</div>
+            <div>Phone: ${escapeHtml(buyer.phone ? `+${buyer.phone}` : '-')}</div>
+        </div>
+        <div class="num">
+            <div class="muted">PAYMENT</div>
+            <div>M-Pesa${order.mpesa_receipt ? ` • Ref ${escapeHtml(order.mpesa_receipt)}` : ''}</div>
+            <div>Status: Paid</div>
+        </div>
+    </div>
+
+    <table>
+        <thead>
+            <tr>
+                <th>Item</th>
+                <th class="num">Qty</th>
+                <th class="num">Unit Price</th>
+                <th class="num">Amount</th>
+            </tr>
+        </thead>
+        <tbody>${itemRows}</tbody>
+    </table>
+
+    <table class="summary">
+        <tr><td>Goods (Supplier Cost + Margin)</td><td class="num">KES ${formatPrice(totals.subtotal)}</td></tr>
+        <tr><td>Freight &amp; Delivery</td><td class="num">KES ${formatPrice(totals.shipping)}</td></tr>
+        <tr><td>KRA Import Duty</td><td class="num">KES ${formatPrice(totals.duty)}</td></tr>
+        <tr><td>VAT (16%)</td><td class="num">KES ${formatPrice(totals.vat)}</td></tr>
+        <tr><td>Platform Fee</td><td class="num">KES ${formatPrice(totals.fees)}</td></tr>
+        ${totals.inclusive > 0 ? `<tr><td>Quoted Items (incl. freight, duty &amp; VAT)</td><td class="num">KES ${formatPrice(totals.inclusive)}</td></tr>` : ''}
+        <tr class="total"><td>TOTAL (KES)</td><td class="num">KES ${formatPrice(grandTotal)}</td></tr>
+    </table>
+
+    <p class="muted">All amounts in Kenya Shillings. Prices are fully landed and include import duty and VAT at 16%.</p>
+</body>
+</html>`;
+}
+
+// ========================================
+// REQUEST FOR QUOTATION (RFQ)
+// ========================================
+
+/**
+ * RFQ statuses shown on the dashboard
+ */
+const RFQ_STATUSES = {
+    draft: { label: 'Draft', className: 'status-pending' },
+    submitted: { label: 'Submitted', className: 'status-processing' },
+    quoted: { label: 'Quoted', className: 'status-shipped' },
+    accepted: { label: 'Accepted', className: 'status-delivered' },
+    expired: { label: 'Expired', className: 'status-issue' }
+};
+
+const RFQ_NOTES_MAX_LENGTH = 1000;
+
+/**
+ * Storage key for the RFQ draft, per user
+ * @returns {string} Storage key
+ */
+function getRfqDraftKey() {
+    return `rfq_draft_${checkUserSession() || 'guest'}`;
+}
+
+/**
+ * Get the RFQ draft being built
+ * @returns {object} Draft with lines, delivery_date and notes
+ */
+function getRfqDraft() {
+    try {
+        const draft = JSON.parse(localStorage.getItem(getRfqDraftKey()) || 'null');
+        if (draft && Array.isArray(draft.lines)) return draft;
+    } catch (error) {
+        console.error('❌ Error reading RFQ draft:', error);
+    }
+    return { lines: [], delivery_date: '', notes: '' };
+}
+
+/**
+ * Save the RFQ draft
+ * @param {object} draft - Draft to save
+ */
+function saveRfqDraft(draft) {
+    localStorage.setItem(getRfqDraftKey(), JSON.stringify(draft));
+}
+
+/**
+ * Whether a quote's validity date has passed
+ * @param {string} expiresAt - Quote expiry (ISO string)
+ * @returns {boolean}
+ */
+function isQuoteExpired(expiresAt) {
+    return Boolean(expiresAt) && new Date(expiresAt) < new Date();
+}
+
+/**
+ * Add the current product and quantity to the RFQ draft
+ */
+function addToRfq() {
+    const product = window.currentProduct;
+    if (!product || !window.currentProductId) return;
+
+    const moq = window.minOrderQuantity || 1;
+    const quantity = parseInt(document.getElementById('quantity-input').value) || 0;
+    if (quantity < moq) {
+        document.getElementById('moq-warning').classList.remove('hidden');
+        return;
+    }
+
+    const draft = getRfqDraft();
+    const line = {
+        product_id: window.currentProductId,
+        product_name: product.product_name || 'Unknown Product',
+        supplier_name: product.supplier_name || 'Unknown Supplier',
+        image_url: product.image_url || '',
+        sku: product.sku || '',
+        moq: moq,
+        quantity: quantity,
+        list_price_kes: window.currentPricing ? window.currentPricing.final_price_kes : null,
+        target_price_kes: null
+    };
+
+    const existing = draft.lines.findIndex(item => item.product_id === line.product_id);
+    if (existing === -1) {
+        draft.lines.push(line);
+    } else {
+        draft.lines[existing] = { ...draft.lines[existing], quantity: quantity, list_price_kes: line.list_price_kes };
+    }
+    saveRfqDraft(draft);
+
+    showNotification(`${line.product_name} added to your quotation request (${draft.lines.length} product${draft.lines.length === 1 ? '' : 's'})`);
+}
+
+/**
+ * Fetch the user's submitted RFQs
+ * @param {string} userId - User ID
+ * @returns {Promise<array>} RFQs, newest first
+ */
+async function fetchRfqs(userId) {
+    try {
+        const data = await apiRequest(CONFIG.RFQ_ENDPOINT, {
+            query: { user_id: userId }
+        });
+
+        if (!data || !Array.isArray(data.rfqs)) {
+            throw new Error('Invalid response format from RFQ endpoint');
+        }
+
+        return data.rfqs.sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+
+    } catch (error) {
+        console.error('❌ Error fetching RFQs:', error.message);
+        throw error;
+    }
+}
+
+/**
+ * Status of an RFQ, treating quotes past their validity as expired
+ * @param {object} rfq - RFQ object
+ * @returns {string} Status key
+ */
+function getRfqStatus(rfq) {
+    const status = (rfq.status || 'submitted').toLowerCase();
+    if (status === 'quoted' && isQuoteExpired(rfq.quote_expires_at)) {
+        return 'expired';
+    }
+    return RFQ_STATUSES[status] ? status : 'submitted';
+}
+
+/**
+ * Load and render the draft and submitted RFQs on the dashboard
+ */
+async function loadRfqs() {
+    const list = document.getElementById('rfq-list');
+    if (!list) return;
+
+    renderRfqDraft();
+
+    try {
+        const rfqs = await fetchRfqs(checkUserSession());
+        window.dashboardRfqs = rfqs;
+        renderRfqList(rfqs);
+
+        console.log(`✅ Loaded ${rfqs.length} RFQs`);
+
+    } catch (error) {
+        list.innerHTML = `<p class="text-sm text-red-600">${escapeHtml(getErrorMessage(error, 'Could not load your quotation requests.'))}</p>`;
+    }
+}
+
+/**
+ * Render the editable RFQ draft
+ */
+function renderRfqDraft() {
+    const draftCard = document.getElementById('rfq-draft');
+    const linesContainer = document.getElementById('rfq-draft-lines');
+    if (!draftCard || !linesContainer) return;
+
+    const draft = getRfqDraft();
+    document.getElementById('rfq-draft-count').textContent = draft.lines.length;
+
+    if (draft.lines.length === 0) {
+        linesContainer.innerHTML = `
+            <p class="text-sm text-gray-500">
+                No products yet. Use "Add to RFQ" on any product page to build a multi-product quotation request.
+            </p>
+        `;
+        document.getElementById('submit-rfq-btn').disabled = true;
+        return;
+    }
+
+    linesContainer.innerHTML = '';
+    draft.lines.forEach((line, index) => {
+        const row = document.createElement('div');
+        row.className = 'rfq-line';
+        row.innerHTML = `
+            <div class="flex-1 min-w-0">
+                <div class="order-item-name truncate">${escapeHtml(line.product_name)}</div>
+                <div class="order-item-supplier">${escapeHtml(line.supplier_name)} • MOQ ${line.moq || 1}</div>
+                ${line.list_price_kes ? `<div class="text-xs text-gray-500">List price ${formatPrice(line.list_price_kes)} KES/unit</div>` : ''}
+            </div>
+            <label class="text-xs text-gray-600">
+                Qty
+                <input type="number" class="rfq-qty-input w-24 px-2 py-1 border border-gray-300 rounded-lg text-center" min="${line.moq || 1}" value="${line.quantity}">
+            </label>
+            <label class="text-xs text-gray-600">
+                Target KES/unit
+                <input type="number" class="rfq-target-input w-28 px-2 py-1 border border-gray-300 rounded-lg text-right" min="0" step="0.01" value="${line.target_price_kes ?? ''}" placeholder="Optional">
+            </label>
+            <button class="rfq-remove-btn text-sm text-red-600 hover:text-red-700 font-semibold">Remove</button>
+        `;
+
+        row.querySelector('.rfq-qty-input').addEventListener('change', (e) => {
+            updateRfqDraftLine(index, { quantity: parseInt(e.target.value) || 0 });
+        });
+        row.querySelector('.rfq-target-input').addEventListener('change', (e) => {
+            const value = parseFloat(e.target.value);
+            updateRfqDraftLine(index, { target_price_kes: isNaN(value) ? null : value });
+        });
+        row.querySelector('.rfq-remove-btn').addEventListener('click', () => {
+            const current = getRfqDraft();
+            current.lines.splice(index, 1);
+            saveRfqDraft(current);
+            renderRfqDraft();
+        });
+
+        linesContainer.appendChild(row);
+    });
+
+    document.getElementById('rfq-delivery-date').value = draft.delivery_date || '';
+    document.getElementById('rfq-notes').value = draft.notes || '';
+    document.getElementById('submit-rfq-btn').disabled = false;
+}
+
+/**
+ * Update one draft line
+ * @param {number} index - Line index
+ * @param {object} changes - Fields to change
+ */
+function updateRfqDraftLine(index, changes) {
+    const draft = getRfqDraft();
+    if (!draft.lines[index]) return;
+
+    draft.lines[index] = { ...draft.lines[index], ...changes };
+    saveRfqDraft(draft);
+}
+
+/**
+ * Validate the RFQ draft before submission
+ * @param {object} draft - Draft to validate
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateRfqDraft(draft) {
+    if (draft.lines.length === 0) {
+        return 'Add at least one product to your quotation request.';
+    }
+
+    const belowMoq = draft.lines.find(line => !line.quantity || line.quantity < (line.moq || 1));
+    if (belowMoq) {
+        return `${belowMoq.product_name}: minimum order is ${belowMoq.moq || 1} units.`;
+    }
+
+    const badTarget = draft.lines.find(line => line.target_price_kes !== null && line.target_price_kes <= 0);
+    if (badTarget) {
+        return `${badTarget.product_name}: target price must be more than zero.`;
+    }
+
+    if (!draft.delivery_date) {
+        return 'Please choose a required delivery date.';
+    }
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    if (new Date(draft.delivery_date) <= today) {
+        return 'Delivery date must be in the future.';
+    }
+
+    if ((draft.notes || '').length > RFQ_NOTES_MAX_LENGTH) {
+        return `Notes must be ${RFQ_NOTES_MAX_LENGTH} characters or fewer.`;
+    }
+
+    return null;
+}
+
+/**
+ * Submit the RFQ draft to the RFQ webhook
+ */
+async function submitRfq() {
+    const submitButton = document.getElementById('submit-rfq-btn');
+    const errorText = document.getElementById('rfq-error');
+
+    const draft = getRfqDraft();
+    draft.delivery_date = document.getElementById('rfq-delivery-date').value;
+    draft.notes = document.getElementById('rfq-notes').value.trim();
+    saveRfqDraft(draft);
+
+    const validationError = validateRfqDraft(draft);
+    if (validationError) {
+        errorText.textContent = validationError;
+        errorText.classList.remove('hidden');
+        return;
+    }
+    errorText.classList.add('hidden');
+
+    try {
+        submitButton.disabled = true;
+        submitButton.textContent = 'Submitting...';
+
+        const data = await apiRequest(CONFIG.RFQ_ENDPOINT, {
+            method: 'POST',
+            body: {
+                user_id: getUserId(),
+                lines: draft.lines.map(line => ({
+                    product_id: line.product_id,
+                    product_name: line.product_name,
+                    supplier_name: line.supplier_name,
+                    quantity: line.quantity,
+                    target_price_kes: line.target_price_kes,
+                    list_price_kes: line.list_price_kes
+                })),
+                delivery_date: draft.delivery_date,
+                notes: draft.notes,
+                timestamp: new Date().toISOString()
+            }
+        }) || {};
+
+        localStorage.removeItem(getRfqDraftKey());
+        showDashboardAlert('success', 'Quotation request submitted', `${data.rfq_id ? `${data.rfq_id}: ` : ''}suppliers will respond with prices before your delivery date.`);
+        console.log('✅ RFQ submitted:', data.rfq_id);
+
+        await loadRfqs();
+
+    } catch (error) {
+        console.error('❌ Error submitting RFQ:', error.message);
+        errorText.textContent = getErrorMessage(error, 'Failed to submit your quotation request. Please try again.');
+        errorText.classList.remove('hidden');
+    } finally {
+        submitButton.textContent = 'Submit RFQ';
+        submitButton.disabled = getRfqDraft().lines.length === 0;
+    }
+}
+
+/**
+ * Render submitted RFQs with their status and quoted prices
+ * @param {array} rfqs - RFQs from the backend
+ */
+function renderRfqList(rfqs) {
+    const list = document.getElementById('rfq-list');
+    list.innerHTML = '';
+
+    if (rfqs.length === 0) {
+        list.innerHTML = '<p class="text-sm text-gray-500">No quotation requests submitted yet.</p>';
+        return;
+    }
+
+    rfqs.forEach(rfq => {
+        const statusKey = getRfqStatus(rfq);
+        const status = RFQ_STATUSES[statusKey];
+        const lines = Array.isArray(rfq.lines) ? rfq.lines : [];
+
+        const element = document.createElement('div');
+        element.className = 'rfq-row';
+        element.innerHTML = `
+            <div class="flex items-start justify-between gap-3 mb-2">
+                <div>
+                    <div class="order-item-name">${escapeHtml(rfq.rfq_id || 'RFQ')}</div>
+                    <div class="timeline-timestamp">
+                        Submitted ${formatDate(rfq.created_at)}${rfq.delivery_date ? ` • Needed by ${formatDate(rfq.delivery_date)}` : ''}
+                        ${statusKey === 'quoted' && rfq.quote_expires_at ? ` • Quote valid until ${formatDate(rfq.quote_expires_at)}` : ''}
+                    </div>
+                </div>
+                <span class="issue-status ${status.className}">${status.label}</span>
+            </div>
+            <table class="w-full text-sm">
+                <thead>
+                    <tr class="text-xs text-gray-500 text-left">
+                        <th class="py-1">Product</th>
+                        <th class="py-1 text-right">Qty</th>
+                        <th class="py-1 text-right">Target KES</th>
+                        <th class="py-1 text-right">Quoted KES</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${lines.map(line => `
+                        <tr class="border-t border-gray-100">
+                            <td class="py-1">${escapeHtml(line.product_name || line.product_id || '')}</td>
+                            <td class="py-1 text-right">${line.quantity || 0}</td>
+                            <td class="py-1 text-right">${line.target_price_kes ? formatPrice(line.target_price_kes) : '—'}</td>
+                            <td class="py-1 text-right font-semibold">${line.quoted_price_kes ? formatPrice(line.quoted_price_kes) : '—'}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            ${rfq.supplier_notes ? `<p class="text-sm text-gray-700 mt-2"><strong>Supplier notes:</strong> ${escapeHtml(rfq.supplier_notes)}</p>` : ''}
+            ${statusKey === 'quoted' ? `
+                <button class="accept-rfq-btn mt-3 w-full bg-green-600 hover:bg-green-700 text-white px-4 py-2 rounded-lg font-semibold transition disabled:opacity-50">
+                    ✅ Accept Quote &amp; Add to Cart
+                </button>
+            ` : ''}
+        `;
+
+        element.querySelector('.accept-rfq-btn')?.addEventListener('click', (e) => acceptRfq(rfq, e.currentTarget));
+        list.appendChild(element);
+    });
+}
+
+/**
+ * Build a cart line at an accepted quote price
+ * @param {object} line - Quoted RFQ line
+ * @param {object} rfq - Accepted RFQ
+ * @returns {object} Cart item
+ */
+function buildQuotedCartItem(line, rfq) {
+    const item = buildCartItem(line, line.quantity, {
+        final_price_kes: line.quoted_price_kes,
+        breakdown: line.breakdown || {}
+    });
+
+    return {
+        ...item,
+        product_id: line.product_id,
+        // Without the quote's breakdown the price is one all-inclusive figure
+        // (goods, freight, duty and VAT), shown on its own invoice row
+        all_inclusive: !line.breakdown,
+        quote_id: rfq.rfq_id,
+        quote_expires_at: rfq.quote_expires_at || null
+    };
+}
+
+/**
+ * Accept a quote and turn its lines into cart lines at the quoted prices
+ * @param {object} rfq - Quoted RFQ
+ * @param {HTMLElement} button - Accept button
+ */
+async function acceptRfq(rfq, button) {
+    if (!confirm(`Accept quote ${rfq.rfq_id}? The quoted products will be added to your cart at the quoted prices.`)) {
+        return;
+    }
+
+    try {
+        button.disabled = true;
+        button.textContent = 'Accepting...';
+
+        const data = await apiRequest(CONFIG.RFQ_ACCEPT_ENDPOINT, {
+            method: 'POST',
+            body: {
+                rfq_id: rfq.rfq_id,
+                user_id: getUserId(),
+                timestamp: new Date().toISOString()
+            }
+        }) || {};
+
+        // The accepted quote from the server is authoritative
+        const accepted = data.rfq || rfq;
+        const quotedLines = (accepted.lines || []).filter(line => line.quoted_price_kes > 0);
+
+        // Quoted lines replace any list-price line for the same product
+        const cart = getCartFromSession();
+        quotedLines.forEach(line => {
+            const item = buildQuotedCartItem(line, accepted);
+            const index = cart.findIndex(existing => existing.product_id === item.product_id);
+            if (index === -1) {
+                cart.push(item);
+            } else {
+                cart[index] = item;
+            }
+        });
+        saveCartToSession(cart);
+        updateCartBadge();
+
+        console.log(`✅ Accepted ${rfq.rfq_id}, ${quotedLines.length} lines added to cart`);
+        window.location.href = 'cart.html';
+
+    } catch (error) {
+        console.error('❌ Error accepting quote:', error.message);
+        showDashboardAlert('error', 'Could not accept quote', getErrorMessage(error, 'Please try again.'));
+        button.disabled = false;
+        button.textContent = '✅ Accept Quote & Add to Cart';
+    }
+}
+
+// ========================================
+// SAMPLE REQUESTS
+// ========================================
+
+/**
+ * Sample request statuses shown on the dashboard
+ */
+const SAMPLE_STATUSES = {
+    requested: { label: 'Requested', className: 'status-pending' },
+    approved: { label: 'Approved', className: 'status-processing' },
+    shipped: { label: 'Shipped', className: 'status-shipped' },
+    delivered: { label: 'Delivered', className: 'status-delivered' },
+    rejected: { label: 'Declined', className: 'status-issue' }
+};
+
+const DEFAULT_MAX_SAMPLE_QUANTITY = 5;
+const SAMPLE_NOTES_MAX_LENGTH = 500;
+
+/**
+ * Variants offered for a product (variants or colours, as strings or objects)
+ * @param {object} product - Product object
+ * @returns {Array<string>} Variant names
+ */
+function getProductVariants(product) {
+    const variants = product.variants || product.colors || [];
+    return variants
+        .map(variant => typeof variant === 'string' ? variant : (variant.name || variant.color || ''))
+        .filter(Boolean);
+}
+
+/**
+ * Describe the sample fee and whether it comes off the first bulk order
+ * @param {object} product - Product object
+ * @returns {string} Fee description
+ */
+function getSampleFeeText(product) {
+    const fee = product.sample_fee_kes || 0;
+    if (fee <= 0) {
+        return '🎁 Free sample. You only pay for delivery.';
+    }
+    return product.sample_fee_refundable
+        ? `💰 Sample fee: KES ${formatPrice(fee)}. Refunded against your first bulk order of ${product.moq || 1}+ units.`
+        : `💰 Sample fee: KES ${formatPrice(fee)}. This fee is not refundable.`;
+}
+
+/**
+ * Open the sample request form for the current product
+ */
+function openSampleModal() {
+    const product = window.currentProduct;
+    if (!product) return;
+
+    // Suppliers ship samples to a known buyer
+    if (!checkUserSession()) {
+        redirectToLogin();
+        return;
+    }
+
+    const form = document.getElementById('sample-form');
+    form.reset();
+    document.getElementById('sample-error').classList.add('hidden');
+    document.getElementById('sample-product-name').textContent = product.product_name || 'Unknown Product';
+    document.getElementById('sample-fee-info').textContent = getSampleFeeText(product);
+
+    const maxQuantity = product.sample_max_quantity || DEFAULT_MAX_SAMPLE_QUANTITY;
+    const quantityInput = document.getElementById('sample-quantity');
+    quantityInput.max = maxQuantity;
+    quantityInput.value = 1;
+    document.getElementById('sample-quantity-hint').textContent = `Up to ${maxQuantity} units`;
+
+    // Variant list when the product has one, free text otherwise
+    const variants = getProductVariants(product);
+    const variantSelect = document.getElementById('sample-variant');
+    variantSelect.innerHTML = '<option value="">Select a variant...</option>' +
+        variants.map(variant => `<option value="${escapeHtml(variant)}">${escapeHtml(variant)}</option>`).join('');
+    variantSelect.classList.toggle('hidden', variants.length === 0);
+    document.getElementById('sample-variant-text').classList.toggle('hidden', variants.length > 0);
+
+    const modal = document.getElementById('sample-modal');
+    modal.classList.remove('hidden');
+    modal.classList.add('active');
+    quantityInput.focus();
+}
+
+/**
+ * Close the sample request form
+ */
+function closeSampleModal() {
+    const modal = document.getElementById('sample-modal');
+    if (!modal) return;
+
+    modal.classList.remove('active');
+    modal.classList.add('hidden');
+}
+
+/**
+ * Validate the sample request form
+ * @param {object} request - Form values
+ * @param {object} product - Product object
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateSampleRequest(request, product) {
+    const maxQuantity = product.sample_max_quantity || DEFAULT_MAX_SAMPLE_QUANTITY;
+    if (!request.quantity || request.quantity < 1 || request.quantity > maxQuantity) {
+        return `Sample quantity must be between 1 and ${maxQuantity}.`;
+    }
+    if (getProductVariants(product).length > 0 && !request.variant) {
+        return 'Please choose a variant or colour.';
+    }
+    if (request.delivery_location.length < 3) {
+        return 'Please enter a delivery location.';
+    }
+    if (request.notes.length > SAMPLE_NOTES_MAX_LENGTH) {
+        return `Notes must be ${SAMPLE_NOTES_MAX_LENGTH} characters or fewer.`;
+    }
+    return null;
+}
+
+/**
+ * Submit the sample request form
+ * @param {Event} event - Form submit event
+ */
+async function handleSampleSubmit(event) {
+    event.preventDefault();
+
+    const product = window.currentProduct;
+    const errorEl = document.getElementById('sample-error');
+    const submitBtn = document.getElementById('submit-sample-btn');
+    const variantSelect = document.getElementById('sample-variant');
+
+    const request = {
+        quantity: parseInt(document.getElementById('sample-quantity').value) || 0,
+        variant: (variantSelect.classList.contains('hidden')
+            ? document.getElementById('sample-variant-text').value
+            : variantSelect.value).trim(),
+        delivery_location: document.getElementById('sample-location').value.trim(),
+        notes: document.getElementById('sample-notes').value.trim()
+    };
+
+    const validationError = validateSampleRequest(request, product);
+    if (validationError) {
+        errorEl.textContent = validationError;
+        errorEl.classList.remove('hidden');
+        return;
+    }
+    errorEl.classList.add('hidden');
+
+    const userData = getUserData() || {};
+    const body = {
+        user_id: getUserId(),
+        business_name: userData.business_name || '',
+        phone: userData.phone || '',
+        product_id: window.currentProductId,
+        product_name: product.product_name,
+        supplier_name: product.supplier_name,
+        quantity: request.quantity,
+        variant: request.variant,
+        delivery_location: request.delivery_location,
+        notes: request.notes,
+        sample_fee_kes: product.sample_fee_kes || 0,
+        fee_refundable: Boolean(product.sample_fee_refundable),
+        timestamp: new Date().toISOString()
+    };
+
+    // Offline requests are queued and sent when the connection returns
+    if (!navigator.onLine) {
+        await queueOfflineRequest(CONFIG.SAMPLE_REQUEST_ENDPOINT, body, 'sample request');
+        closeSampleModal();
+        showNotification('You are offline. Your sample request will be sent when you reconnect.');
+        return;
+    }
+
+    try {
+        submitBtn.disabled = true;
+
+        const data = await apiRequest(CONFIG.SAMPLE_REQUEST_ENDPOINT, {
+            method: 'POST',
+            body: body
+        }) || {};
+
+        console.log('✅ Sample requested:', data.sample_id || window.currentProductId);
+        closeSampleModal();
+        showNotification('Sample request sent. Track it under Sample Requests on your dashboard.');
 
     } catch (error) {
-        console.error('❌ Error handling success:', error);
-        handlePaymentFailure('Order confirmation failed');
+        console.error('❌ Error requesting sample:', error.message);
+
+        if (isOfflineError(error)) {
+            await queueOfflineRequest(CONFIG.SAMPLE_REQUEST_ENDPOINT, body, 'sample request');
+            closeSampleModal();
+            showNotification('Connection lost. Your sample request will be sent when you reconnect.');
+            return;
+        }
+        errorEl.textContent = getErrorMessage(error, 'Failed to request sample. Please try again.');
+        errorEl.classList.remove('hidden');
+    } finally {
+        submitBtn.disabled = false;
     }
 }
 
 /**
- * Handle payment failure
- * @param {string} errorMessage - Error message
+ * Load the buyer's sample requests on the dashboard
  */
-function handlePaymentFailure(errorMessage) {
+async function loadSampleRequests() {
+    const list = document.getElementById('samples-list');
+    if (!list) return;
+
     try {
-        console.error('❌ Payment failed:', errorMessage);
+        const data = await apiRequest(CONFIG.SAMPLES_ENDPOINT, {
+            query: { user_id: checkUserSession() }
+        });
 
-        // Hide overlay
-        hidePaymentOverlay();
+        if (!data || !Array.isArray(data.samples)) {
+            throw new Error('Invalid response format from samples endpoint');
+        }
 
-        // Reset button
-        const payButton = document.getElementById('pay-button');
-        payButton.disabled = false;
-        payButton.textContent = '💰 Pay KES ' + document.getElementById('pay-amount').textContent;
+        renderSampleRequests(data.samples);
+        console.log(`✅ Loaded ${data.samples.length} sample requests`);
 
-        // Show error message
-        const errorMsg = document.createElement('div');
-        errorMsg.className = 'fixed top-4 right-4 bg-red-500 text-white px-6 py-4 rounded-lg shadow-lg z-50 flex items-center gap-3';
-        errorMsg.innerHTML = `
-            <span>❌</span>
-            <span>${escapeHtml(errorMessage)}</span>
-        `;
-        document.body.appendChild(errorMsg);
+    } catch (error) {
+        console.error('❌ Error fetching sample requests:', error.message);
+        list.innerHTML = `<p class="text-sm text-red-600">${escapeHtml(getErrorMessage(error, 'Could not load your sample requests.'))}</p>`;
+    }
+}
 
-        // Remove error message after 5 seconds
-        setTimeout(() => {
-            errorMsg.remove();
-        }, 5000);
+/**
+ * Render sample requests with their status
+ * @param {array} samples - Sample requests from the backend
+ */
+function renderSampleRequests(samples) {
+    const list = document.getElementById('samples-list');
+    list.innerHTML = '';
 
-    } catch (error) {
-        console.error('❌ Error handling failure:', error);
-        alert('An unexpected error occurred. Please try again.');
+    if (samples.length === 0) {
+        list.innerHTML = '<p class="text-sm text-gray-500">No sample requests yet. Request a sample from any product page before committing to an MOQ.</p>';
+        return;
     }
+
+    samples
+        .sort((a, b) => new Date(b.created_at) - new Date(a.created_at))
+        .forEach(sample => {
+            const status = SAMPLE_STATUSES[(sample.status || 'requested').toLowerCase()] || SAMPLE_STATUSES.requested;
+            const quantity = String(sample.quantity || 1);
+            const element = document.createElement('div');
+            element.className = 'issue-row';
+            element.innerHTML = `
+                <div class="flex items-start justify-between gap-3 mb-1">
+                    <div>
+                        <div class="order-item-name">${escapeHtml(sample.product_name || sample.product_id || 'Sample')}</div>
+                        <div class="timeline-timestamp">
+                            Requested ${formatDate(sample.created_at)} • ${escapeHtml(quantity)} unit${Number(quantity) === 1 ? '' : 's'}${sample.variant ? ` • ${escapeHtml(sample.variant)}` : ''}
+                        </div>
+                    </div>
+                    <span class="issue-status ${status.className}">${status.label}</span>
+                </div>
+                <p class="text-sm text-gray-700">📍 ${escapeHtml(sample.delivery_location || '')}</p>
+                ${sample.tracking_number ? `<p class="text-sm text-gray-700">🚚 Tracking: ${escapeHtml(sample.tracking_number)}</p>` : ''}
+                ${sample.sample_fee_kes ? `<p class="text-xs text-gray-500 mt-1">Fee KES ${formatPrice(sample.sample_fee_kes)}${sample.fee_refundable ? ' • refundable against first bulk order' : ''}</p>` : ''}
+            `;
+            list.appendChild(element);
+        });
 }
 
+// ========================================
+// SUPPLIER MESSAGING
+// ========================================
+
 /**
- * Get or create user ID
- * @returns {string} User ID
+ * Attachments buyers can send (spec sheets, photos, artwork)
  */
-function getUserId() {
-    let userId = sessionStorage.getItem('user_id');
-    if (!userId) {
-        userId = 'user_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
-        sessionStorage.setItem('user_id', userId);
+const MESSAGE_ATTACHMENT_TYPES = [
+    'image/jpeg',
+    'image/png',
+    'image/webp',
+    'application/pdf',
+    'application/msword',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    'application/vnd.ms-excel',
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+];
+const MAX_ATTACHMENTS = 5;
+const MAX_ATTACHMENT_BYTES = 10 * 1024 * 1024;
+const MESSAGE_MAX_LENGTH = 2000;
+
+/**
+ * Open thread state; threads are keyed by type ('product' or 'order') and reference
+ */
+let messagingState = {
+    threadType: null,
+    threadRef: null,
+    messages: [],
+    pollTimerId: null
+};
+
+// Header unread badge polling (paused while the messages panel is open)
+let unreadPollTimerId = null;
+
+/**
+ * Wire the messages panel and start polling the unread count
+ */
+function initializeMessaging() {
+    if (!checkUserSession()) return;
+
+    updateMessagesBadge();
+    startUnreadPolling();
+
+    if (!document.getElementById('messages-modal')) return;
+
+    document.getElementById('close-messages-btn')?.addEventListener('click', closeMessagesPanel);
+    document.querySelector('#messages-modal .modal-overlay')?.addEventListener('click', closeMessagesPanel);
+    document.getElementById('messages-back-btn')?.addEventListener('click', openMessagesInbox);
+    document.getElementById('message-form')?.addEventListener('submit', sendSupplierMessage);
+    document.getElementById('message-attachments')?.addEventListener('change', (e) => {
+        const names = Array.from(e.target.files).map(file => file.name).join(', ');
+        document.getElementById('message-attachment-names').textContent = names;
+    });
+    // Escape is handled by the page's modal keydown handler
+}
+
+/**
+ * Poll the unread count while the page is visible
+ */
+function startUnreadPolling() {
+    stopUnreadPolling();
+    unreadPollTimerId = setInterval(() => {
+        // Session ended (logout or expiry): nothing left to poll for
+        if (!checkUserSession()) {
+            stopUnreadPolling();
+            return;
+        }
+        if (document.visibilityState === 'visible') {
+            updateMessagesBadge();
+        }
+    }, CONFIG.UNREAD_POLL_MS);
+}
+
+function stopUnreadPolling() {
+    if (unreadPollTimerId) {
+        clearInterval(unreadPollTimerId);
+        unreadPollTimerId = null;
     }
-    return userId;
 }
 
 /**
- * Show payment processing overlay
+ * Update the header unread badge
  */
-function showPaymentOverlay() {
-    const overlay = document.getElementById('payment-overlay');
-    if (overlay) {
-        overlay.classList.remove('hidden');
+async function updateMessagesBadge() {
+    const badge = document.getElementById('messages-badge');
+    if (!badge || !checkUserSession()) return;
+
+    try {
+        const data = await apiRequest(CONFIG.MESSAGE_THREADS_ENDPOINT, {
+            query: { user_id: checkUserSession() },
+            retries: 0
+        }) || {};
+
+        const threads = Array.isArray(data.threads) ? data.threads : [];
+        const unread = data.unread_total ?? threads.reduce((sum, thread) => sum + (thread.unread_count || 0), 0);
+        badge.textContent = unread > 99 ? '99+' : unread;
+        badge.classList.toggle('hidden', unread === 0);
+
+    } catch (error) {
+        console.warn('⚠ Could not check unread messages:', error.message);
     }
 }
 
 /**
- * Hide payment processing overlay
+ * Show the messages modal
  */
-function hidePaymentOverlay() {
-    const overlay = document.getElementById('payment-overlay');
-    if (overlay) {
-        overlay.classList.add('hidden');
+function showMessagesModal() {
+    const modal = document.getElementById('messages-modal');
+    modal.classList.remove('hidden');
+    modal.classList.add('active');
+
+    // The open thread marks messages read and refreshes the badge itself
+    stopUnreadPolling();
+}
+
+/**
+ * Close the messages modal and stop polling
+ */
+function closeMessagesPanel() {
+    const modal = document.getElementById('messages-modal');
+    if (!modal) return;
+
+    if (modal.classList.contains('hidden')) return;
+
+    modal.classList.remove('active');
+    modal.classList.add('hidden');
+    stopThreadPolling();
+    messagingState.threadType = null;
+    messagingState.threadRef = null;
+
+    updateMessagesBadge();
+    startUnreadPolling();
+}
+
+/**
+ * Open the list of all message threads
+ */
+async function openMessagesInbox() {
+    const threadList = document.getElementById('message-threads');
+    if (!threadList) return;
+
+    stopThreadPolling();
+    showMessagesModal();
+    document.getElementById('messages-title').textContent = 'Messages';
+    document.getElementById('messages-subtitle').textContent = 'Your conversations with suppliers';
+    document.getElementById('messages-back-btn').classList.add('hidden');
+    document.getElementById('message-thread').classList.add('hidden');
+    threadList.classList.remove('hidden');
+    threadList.innerHTML = '<p class="text-sm text-gray-500">Loading conversations...</p>';
+
+    try {
+        const data = await apiRequest(CONFIG.MESSAGE_THREADS_ENDPOINT, {
+            query: { user_id: getUserId() }
+        }) || {};
+
+        renderMessageThreadList(Array.isArray(data.threads) ? data.threads : []);
+
+    } catch (error) {
+        console.error('❌ Error loading message threads:', error.message);
+        threadList.innerHTML = `<p class="text-sm text-red-600">${escapeHtml(getErrorMessage(error, 'Could not load your messages.'))}</p>`;
     }
 }
 
 /**
- * Show phone number error
- * @param {string} message - Error message
+ * Render the inbox thread list
+ * @param {array} threads - Thread summaries from the backend
  */
-function showPhoneError(message) {
-    const input = document.getElementById('phone-input');
-    input.classList.add('error');
-    
-    let errorDiv = input.nextElementSibling;
-    if (!errorDiv || !errorDiv.classList.contains('form-error')) {
-        errorDiv = document.createElement('div');
-        errorDiv.className = 'form-error';
-        input.after(errorDiv);
+function renderMessageThreadList(threads) {
+    const threadList = document.getElementById('message-threads');
+    threadList.innerHTML = '';
+
+    if (threads.length === 0) {
+        threadList.innerHTML = '<p class="text-sm text-gray-500">No conversations yet. Use "Contact Supplier" on a product or order to start one.</p>';
+        return;
     }
-    
-    errorDiv.textContent = message;
-    errorDiv.classList.add('show');
 
-    // Remove error after 3 seconds
-    setTimeout(() => {
-        input.classList.remove('error');
-        errorDiv.classList.remove('show');
-    }, 3000);
+    threads
+        .sort((a, b) => new Date(b.last_message_at || 0) - new Date(a.last_message_at || 0))
+        .forEach(thread => {
+            const item = document.createElement('button');
+            item.type = 'button';
+            item.className = 'message-thread-item';
+            item.innerHTML = `
+                <div class="flex items-center justify-between gap-2">
+                    <span class="order-item-name">${escapeHtml(thread.supplier_name || 'Supplier')}</span>
+                    ${thread.unread_count ? `<span class="cart-badge">${thread.unread_count}</span>` : ''}
+                </div>
+                <div class="text-xs text-gray-500">${escapeHtml(thread.title || `${thread.thread_type === 'order' ? 'Order' : 'Product'} ${thread.thread_ref}`)}</div>
+                ${thread.last_message ? `<div class="text-sm text-gray-700 truncate">${escapeHtml(thread.last_message)}</div>` : ''}
+            `;
+            item.addEventListener('click', () => openMessageThread({
+                threadType: thread.thread_type,
+                threadRef: thread.thread_ref,
+                title: thread.supplier_name || 'Supplier',
+                subtitle: thread.title || '',
+                fromInbox: true
+            }));
+            threadList.appendChild(item);
+        });
 }
 
 /**
- * Show checkout error
- * @param {string} message - Error message
+ * Open a message thread for a product or order
+ * @param {object} thread - threadType, threadRef, title, subtitle, fromInbox
  */
-function showCheckoutError(message) {
-    const main = document.querySelector('main');
-    if (main) {
-        main.innerHTML = `
-            <div class="text-center py-20">
-                <p class="text-red-600 text-lg font-semibold mb-4">⚠ ${escapeHtml(message)}</p>
-                <a href="/" class="inline-block bg-blue-600 text-white px-6 py-3 rounded-lg hover:bg-blue-700">
-                    ← Back to Marketplace
-                </a>
-            </div>
-        `;
+async function openMessageThread(thread) {
+    if (!document.getElementById('messages-modal') || !thread.threadRef) return;
+
+    // Messaging needs an account so suppliers can reply
+    if (!checkUserSession()) {
+        redirectToLogin();
+        return;
     }
+
+    stopThreadPolling();
+    messagingState = {
+        threadType: thread.threadType,
+        threadRef: thread.threadRef,
+        messages: [],
+        pollTimerId: null
+    };
+
+    showMessagesModal();
+    document.getElementById('messages-title').textContent = thread.title;
+    document.getElementById('messages-subtitle').textContent = thread.subtitle || '';
+    document.getElementById('messages-back-btn').classList.toggle('hidden', !thread.fromInbox);
+    document.getElementById('message-threads').classList.add('hidden');
+    document.getElementById('message-thread').classList.remove('hidden');
+    document.getElementById('message-form').reset();
+    document.getElementById('message-attachment-names').textContent = '';
+    document.getElementById('message-error').classList.add('hidden');
+    document.getElementById('message-list').innerHTML = '<p class="text-sm text-gray-500">Loading messages...</p>';
+
+    await loadThreadMessages();
+    startThreadPolling();
+    document.getElementById('message-input').focus();
 }
 
 /**
- * Setup event listeners for checkout
+ * Fetch messages for the open thread
+ * @param {string} since - Only return messages after this time (ISO string)
+ * @returns {Promise<array>} Messages
  */
-function setupCheckoutEventListeners() {
-    // Payment form submission
-    const paymentForm = document.getElementById('payment-form');
-    if (paymentForm) {
-        paymentForm.addEventListener('submit', initiatePayment);
+async function fetchThreadMessages(since) {
+    const query = {
+        user_id: getUserId(),
+        thread_type: messagingState.threadType,
+        thread_ref: messagingState.threadRef
+    };
+    if (since) query.since = since;
+
+    const data = await apiRequest(CONFIG.MESSAGES_ENDPOINT, { query: query, retries: since ? 0 : undefined }) || {};
+    return Array.isArray(data.messages) ? data.messages : [];
+}
+
+/**
+ * Load the full thread and mark it read
+ */
+async function loadThreadMessages() {
+    const threadType = messagingState.threadType;
+    const threadRef = messagingState.threadRef;
+
+    try {
+        const messages = await fetchThreadMessages();
+        if (messagingState.threadRef !== threadRef) return;
+
+        messagingState.messages = messages;
+        renderThreadMessages();
+        markThreadRead(threadType, threadRef);
+
+    } catch (error) {
+        console.error('❌ Error loading messages:', error.message);
+        document.getElementById('message-list').innerHTML =
+            `<p class="text-sm text-red-600">${escapeHtml(getErrorMessage(error, 'Could not load messages.'))}</p>`;
     }
+}
 
-    // Cancel payment button
-    const cancelBtn = document.getElementById('cancel-payment-btn');
-    if (cancelBtn) {
-        cancelBtn.addEventListener('click', () => {
-            hidePaymentOverlay();
-            document.getElementById('pay-button').disabled = false;
-            document.getElementById('pay-button').textContent = '💰 Pay KES ' + document.getElementById('pay-amount').textContent;
-        });
+/**
+ * Poll the open thread for supplier replies
+ */
+function startThreadPolling() {
+    stopThreadPolling();
+    messagingState.pollTimerId = setInterval(pollThreadMessages, CONFIG.MESSAGE_POLL_MS);
+}
+
+function stopThreadPolling() {
+    if (messagingState.pollTimerId) {
+        clearInterval(messagingState.pollTimerId);
+        messagingState.pollTimerId = null;
     }
+}
 
-    // Phone input validation on input
-    const phoneInput = document.getElementById('phone-input');
-    if (phoneInput) {
-        phoneInput.addEventListener('input', (e) => {
-            // Remove any non-digit characters
-            e.target.value = e.target.value.replace(/[^0-9]/g, '');
-            
-            // Limit to 9 digits
-            if (e.target.value.length > 9) {
-                e.target.value = e.target.value.slice(0, 9);
+/**
+ * Fetch and append messages newer than the last one shown
+ */
+async function pollThreadMessages() {
+    if (document.visibilityState !== 'visible' || !messagingState.threadRef) return;
+
+    const threadRef = messagingState.threadRef;
+    const last = messagingState.messages[messagingState.messages.length - 1];
+
+    try {
+        const messages = await fetchThreadMessages(last ? last.created_at : null);
+        if (messagingState.threadRef !== threadRef) return;
+
+        const known = new Set(messagingState.messages.map(message => message.message_id));
+        const fresh = messages.filter(message => !known.has(message.message_id));
+        if (fresh.length === 0) return;
+
+        messagingState.messages = messagingState.messages.concat(fresh);
+        renderThreadMessages();
+        markThreadRead(messagingState.threadType, threadRef);
+
+    } catch (error) {
+        console.warn('⚠ Message poll failed:', error.message);
+    }
+}
+
+/**
+ * Tell the backend the buyer has read the thread, then refresh the badge
+ * @param {string} threadType - 'product' or 'order'
+ * @param {string} threadRef - Product or order ID
+ */
+async function markThreadRead(threadType, threadRef) {
+    try {
+        await apiRequest(CONFIG.MESSAGES_READ_ENDPOINT, {
+            method: 'POST',
+            body: {
+                user_id: getUserId(),
+                thread_type: threadType,
+                thread_ref: threadRef
             }
         });
+        updateMessagesBadge();
+    } catch (error) {
+        console.warn('⚠ Could not mark messages read:', error.message);
     }
 }
-    // Quantity input change
-    document.getElementById('quantity-input').addEventListener('change', (e) => {
-        const quantity = parseInt(e.target.value) || 1;
-        const moq = window.minOrderQuantity || 1;
 
-        if (quantity < moq) {
-            e.target.value = moq;
-            updatePricing(window.currentProductId, moq);
-        } else {
-            updatePricing(window.currentProductId, quantity);
+/**
+ * Render the open thread
+ */
+function renderThreadMessages() {
+    const list = document.getElementById('message-list');
+
+    if (messagingState.messages.length === 0) {
+        list.innerHTML = '<p class="text-sm text-gray-500">No messages yet. Ask about colours, packaging, branding or lead times.</p>';
+        return;
+    }
+
+    list.innerHTML = messagingState.messages.map(message => {
+        const fromBuyer = message.sender === 'buyer';
+        const attachments = Array.isArray(message.attachments) ? message.attachments : [];
+        return `
+            <div class="message-bubble ${fromBuyer ? 'from-buyer' : 'from-supplier'}">
+                ${message.body ? `<p class="whitespace-pre-wrap">${escapeHtml(message.body)}</p>` : ''}
+                ${attachments.map(file => `
+                    <a href="${escapeHtml(getSafeUrl(file.url))}" target="_blank" rel="noopener" class="message-attachment">📎 ${escapeHtml(file.name || 'Attachment')}</a>
+                `).join('')}
+                <div class="message-time">${formatDate(message.created_at)} ${message.created_at ? new Date(message.created_at).toLocaleTimeString('en-KE', { hour: '2-digit', minute: '2-digit' }) : ''}</div>
+            </div>
+        `;
+    }).join('');
+
+    list.scrollTop = list.scrollHeight;
+}
+
+/**
+ * Validate selected attachments
+ * @param {FileList} files - Selected files
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateMessageAttachments(files) {
+    if (files.length > MAX_ATTACHMENTS) {
+        return `You can attach up to ${MAX_ATTACHMENTS} files per message.`;
+    }
+
+    for (const file of files) {
+        if (!MESSAGE_ATTACHMENT_TYPES.includes(file.type)) {
+            return `${file.name}: only photos, PDFs, Word and Excel files can be attached.`;
         }
-    });
+        if (file.size > MAX_ATTACHMENT_BYTES) {
+            return `${file.name} is larger than ${MAX_ATTACHMENT_BYTES / (1024 * 1024)} MB.`;
+        }
+    }
+    return null;
+}
 
-    // Quantity increase/decrease buttons
-    document.getElementById('qty-increase')?.addEventListener('click', () => {
-        const input = document.getElementById('quantity-input');
-        input.value = parseInt(input.value) + 1;
-        input.dispatchEvent(new Event('change'));
-    });
+/**
+ * Send a message (with attachments) on the open thread
+ * @param {Event} event - Form submit event
+ */
+async function sendSupplierMessage(event) {
+    event.preventDefault();
 
-    document.getElementById('qty-decrease')?.addEventListener('click', () => {
-        const input = document.getElementById('quantity-input');
-        const moq = window.minOrderQuantity || 1;
-        const newValue = Math.max(moq, parseInt(input.value) - 1);
-        input.value = newValue;
-        input.dispatchEvent(new Event('change'));
-    });
+    const input = document.getElementById('message-input');
+    const fileInput = document.getElementById('message-attachments');
+    const sendButton = document.getElementById('send-message-btn');
+    const errorText = document.getElementById('message-error');
+
+    const body = input.value.trim();
+    const files = Array.from(fileInput.files || []);
+
+    let validationError = null;
+    if (!body && files.length === 0) {
+        validationError = 'Write a message or attach a file.';
+    } else if (body.length > MESSAGE_MAX_LENGTH) {
+        validationError = `Messages must be ${MESSAGE_MAX_LENGTH} characters or fewer.`;
+    } else {
+        validationError = validateMessageAttachments(files);
+    }
+    if (validationError) {
+        errorText.textContent = validationError;
+        errorText.classList.remove('hidden');
+        return;
+    }
+    errorText.classList.add('hidden');
 
-    // Download quote button
-    document.getElementById('download-quote-btn')?.addEventListener('click', downloadQuote);
+    const formData = new FormData();
+    formData.append('user_id', getUserId());
+    formData.append('thread_type', messagingState.threadType);
+    formData.append('thread_ref', messagingState.threadRef);
+    formData.append('body', body);
+    files.forEach(file => formData.append('attachments', file, file.name));
 
-    // Request sample button
-    document.getElementById('request-sample-btn')?.addEventListener('click', requestSample);
+    try {
+        sendButton.disabled = true;
+        sendButton.textContent = 'Sending...';
+
+        const data = await apiRequest(CONFIG.MESSAGES_ENDPOINT, {
+            method: 'POST',
+            body: formData,
+            timeoutMs: files.length > 0 ? CONFIG.DOCUMENT_TIMEOUT_MS : CONFIG.TIMEOUT_MS
+        }) || {};
+
+        messagingState.messages.push(data.message || {
+            message_id: data.message_id,
+            sender: 'buyer',
+            body: body,
+            attachments: files.map(file => ({ name: file.name })),
+            created_at: new Date().toISOString()
+        });
+        renderThreadMessages();
 
-    // Contact supplier button
-    document.getElementById('contact-supplier-btn')?.addEventListener('click', () => {
-        alert('📧 Supplier contact form would open here');
-    });
+        document.getElementById('message-form').reset();
+        document.getElementById('message-attachment-names').textContent = '';
+        console.log('✅ Message sent');
+
+    } catch (error) {
+        console.error('❌ Error sending message:', error.message);
+        errorText.textContent = getErrorMessage(error, 'Failed to send your message. Please try again.');
+        errorText.classList.remove('hidden');
+    } finally {
+        sendButton.disabled = false;
+        sendButton.textContent = 'Send';
+    }
 }
\ No newline at end of file
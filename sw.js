@@ -0,0 +1,146 @@
+// ========================================
+// SERVICE WORKER - Offline shell and image cache
+// ========================================
+// Product data is cached by the page in IndexedDB (see OFFLINE CACHE in
+// js/script.js). API calls, checkout and payment always go to the network.
+
+const CACHE_VERSION = 'v3';
+const SHELL_CACHE = `shell-${CACHE_VERSION}`;
+const IMAGE_CACHE = `images-${CACHE_VERSION}`;
+const MAX_CACHED_IMAGES = 200;
+
+// Exactly the URLs the pages request (root-absolute, see the <script>/<link> tags)
+const SHELL_ASSETS = [
+    '/index.html',
+    '/product-detail.html',
+    '/cart.html',
+    '/login.html',
+    '/dashbord.html',
+    '/js/landed-cost.js',
+    '/js/product-search.js',
+    '/js/script.js',
+    '/css/styles.css'
+];
+
+// Never served from cache
+const NETWORK_ONLY_PAGES = ['checkout.html'];
+
+self.addEventListener('install', (event) => {
+    // Missing assets must not block installation
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => Promise.all(SHELL_ASSETS.map(asset => cache.add(asset).catch(() => null))))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(
+                keys.filter(key => key !== SHELL_CACHE && key !== IMAGE_CACHE).map(key => caches.delete(key))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+
+    // API data is cached by the page; checkout must always be live
+    if (url.pathname.includes('/webhook/')) return;
+    if (NETWORK_ONLY_PAGES.some(page => url.pathname.endsWith(page))) return;
+
+    if (request.destination === 'image') {
+        event.respondWith(cacheFirstImage(request));
+        return;
+    }
+
+    if (url.origin !== self.location.origin) return;
+
+    if (request.mode === 'navigate') {
+        event.respondWith(networkFirstPage(request, url));
+    } else {
+        event.respondWith(staleWhileRevalidate(request));
+    }
+});
+
+/**
+ * Pages: network first so prices and auth stay current, cached shell when offline
+ * @param {Request} request - Navigation request
+ * @param {URL} url - Parsed request URL
+ */
+async function networkFirstPage(request, url) {
+    const cache = await caches.open(SHELL_CACHE);
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        // Product links (/product/<id>-<slug>) share the product detail page
+        const fallback = url.pathname.includes('/product/') ? '/product-detail.html' : request;
+        return (await cache.match(fallback, { ignoreSearch: true })) ||
+            (await cache.match('/index.html')) ||
+            Response.error();
+    }
+}
+
+/**
+ * Scripts and styles: serve cached, refresh in the background
+ * @param {Request} request - Asset request
+ */
+async function staleWhileRevalidate(request) {
+    const cache = await caches.open(SHELL_CACHE);
+    const cached = await cache.match(request);
+
+    const network = fetch(request)
+        .then(response => {
+            if (response.ok) {
+                cache.put(request, response.clone());
+            }
+            return response;
+        })
+        .catch(() => cached || Response.error());
+
+    return cached || network;
+}
+
+/**
+ * Product images: cache first, keeping the cache to a bounded size.
+ * Only same-origin and CORS images are cached: opaque cross-origin responses
+ * hide their status (an error page would be cached as the image) and are
+ * padded to several MB each against the storage quota.
+ * @param {Request} request - Image request
+ */
+async function cacheFirstImage(request) {
+    const cache = await caches.open(IMAGE_CACHE);
+    const cached = await cache.match(request);
+    if (cached) return cached;
+
+    try {
+        const response = await fetch(request);
+        if (response.ok && (response.type === 'basic' || response.type === 'cors')) {
+            await cache.put(request, response.clone());
+            trimImageCache(cache);
+        }
+        return response;
+    } catch (error) {
+        return Response.error();
+    }
+}
+
+/**
+ * Drop the oldest images once the cache is over its limit
+ * @param {Cache} cache - Image cache
+ */
+async function trimImageCache(cache) {
+    const keys = await cache.keys();
+    for (const key of keys.slice(0, Math.max(0, keys.length - MAX_CACHED_IMAGES))) {
+        await cache.delete(key);
+    }
+}
\ No newline at end of file
@@ -0,0 +1,114 @@
+// ========================================
+// LANDED COST ENGINE - unit tests
+// ========================================
+// Run with: node --test tests/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    PRICING_RULES,
+    calculateLandedCost,
+    estimateLandedCost
+} = require('../js/landed-cost.js');
+
+/**
+ * Inputs for the worked example documented on calculateLandedCost()
+ */
+const WORKED_EXAMPLE = {
+    supplierCostRmb: 100,
+    rmbToKesRate: 18.5,
+    freightPerUnitKes: 150,
+    dutyRate: 0.25,
+    vatRate: 0.16,
+    platformFeeRate: 0.03,
+    marginRate: 0.10
+};
+
+/**
+ * Product payload equivalent to the worked example
+ */
+const WORKED_EXAMPLE_PRODUCT = {
+    supplier_cost_rmb: 100,
+    rmb_to_kes_rate: 18.5,
+    freight_per_unit_kes: 150,
+    duty_rate: 0.25,
+    platform_fee_rate: 0.03,
+    margin_rate: 0.10
+};
+
+test('worked example: 100 RMB × 18.5, 150 freight, 25% duty, 3% fee, 10% margin', () => {
+    const result = calculateLandedCost(WORKED_EXAMPLE);
+
+    assert.deepEqual(result.breakdown, {
+        supplier_cost_kes: 1850,
+        international_freight: 150,
+        kra_duty: 500,
+        vat: 400,
+        platform_fee: 87,
+        markup: 185
+    });
+    assert.equal(result.final_price_kes, 3172);
+});
+
+test('freight per CBM is converted to freight per unit', () => {
+    const result = calculateLandedCost({
+        ...WORKED_EXAMPLE,
+        freightPerUnitKes: undefined,
+        freightPerCbmKes: 15000,
+        cbmPerUnit: 0.01
+    });
+
+    assert.equal(result.breakdown.international_freight, 150);
+    assert.equal(result.final_price_kes, 3172);
+});
+
+test('calculateLandedCost rejects a missing FX rate', () => {
+    assert.throws(() => calculateLandedCost({ ...WORKED_EXAMPLE, rmbToKesRate: undefined }));
+    assert.throws(() => calculateLandedCost({ ...WORKED_EXAMPLE, rmbToKesRate: 0 }));
+});
+
+test('estimate matches the worked example and scales the order total', () => {
+    const estimate = estimateLandedCost(WORKED_EXAMPLE_PRODUCT, 10);
+
+    assert.equal(estimate.final_price_kes, 3172);
+    assert.equal(estimate.total_order_price, 31720);
+    assert.equal(estimate.is_estimate, true);
+});
+
+test('estimate is null for zero or invalid quantity', () => {
+    assert.equal(estimateLandedCost(WORKED_EXAMPLE_PRODUCT, 0), null);
+    assert.equal(estimateLandedCost(WORKED_EXAMPLE_PRODUCT, -5), null);
+    assert.equal(estimateLandedCost(WORKED_EXAMPLE_PRODUCT, 2.5), null);
+});
+
+test('estimate is null without an FX rate', () => {
+    const { rmb_to_kes_rate, ...withoutRate } = WORKED_EXAMPLE_PRODUCT;
+
+    assert.equal(estimateLandedCost(withoutRate, 10), null);
+    assert.equal(estimateLandedCost({ ...WORKED_EXAMPLE_PRODUCT, rmb_to_kes_rate: 0 }, 10), null);
+});
+
+test('estimate is null without freight data', () => {
+    const { freight_per_unit_kes, ...withoutFreight } = WORKED_EXAMPLE_PRODUCT;
+
+    assert.equal(estimateLandedCost(withoutFreight, 10), null);
+});
+
+test('category duty rate applies when the product has none', () => {
+    const { duty_rate, ...product } = WORKED_EXAMPLE_PRODUCT;
+    const estimate = estimateLandedCost({ ...product, category: 'Clothing' }, 1);
+
+    // (1850 + 150) × 35%
+    assert.equal(estimate.breakdown.kra_duty, 2000 * PRICING_RULES.DUTY_RATES.clothing);
+});
+
+test('supplier tier cost applies from its minimum quantity', () => {
+    const product = {
+        ...WORKED_EXAMPLE_PRODUCT,
+        price_tiers: [{ min_quantity: 100, supplier_cost_rmb: 80 }]
+    };
+
+    assert.equal(estimateLandedCost(product, 99).breakdown.supplier_cost_kes, 1850);
+    assert.equal(estimateLandedCost(product, 100).breakdown.supplier_cost_kes, 1480);
+});
\ No newline at end of file
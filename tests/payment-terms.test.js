@@ -0,0 +1,88 @@
+// ========================================
+// PAYMENT TERMS - unit tests
+// ========================================
+// Run with: node --test tests/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    getDepositPercent,
+    getCreditTermDays,
+    getCartCreditTermDays,
+    splitMpesaAmount,
+    getPaymentPlan
+} = require('../js/payment-terms.js');
+
+test('deposit percentage is read from supplier terms', () => {
+    assert.equal(getDepositPercent('30% deposit, balance before shipment'), 30);
+    assert.equal(getDepositPercent('Deposit of 50% on order'), 50);
+    assert.equal(getDepositPercent('Net 60'), null);
+    assert.equal(getDepositPercent('100% upfront'), null);
+    assert.equal(getDepositPercent(undefined), null);
+});
+
+test('amounts up to KES 250,000 go in a single push', () => {
+    assert.deepEqual(splitMpesaAmount(250000), [250000]);
+    assert.deepEqual(splitMpesaAmount(250001), [125001, 125000]);
+});
+
+test('split pushes add up to the amount with the remainder spread from the first', () => {
+    const pushes = splitMpesaAmount(500002);
+
+    assert.deepEqual(pushes, [166668, 166667, 166667]);
+    assert.equal(pushes.reduce((sum, amount) => sum + amount, 0), 500002);
+});
+
+test('deposit plans round the amount due now to whole shillings', () => {
+    const cart = [{ final_price_kes: 333.33, quantity: 3, payment_terms: '30% deposit' }];
+    const plan = getPaymentPlan(cart, 999.99, 'deposit');
+
+    assert.equal(plan.order_total, 1000);
+    assert.equal(plan.due_now, 300);
+    assert.equal(plan.balance, 700);
+    assert.deepEqual(plan.instalments, [300]);
+});
+
+test('lines that ask for no deposit are paid in full', () => {
+    const cart = [
+        { final_price_kes: 1000, quantity: 1, payment_terms: '30% deposit, balance before shipment' },
+        { final_price_kes: 1000, quantity: 1, payment_terms: 'Payment with order' }
+    ];
+    const plan = getPaymentPlan(cart, 2000, 'deposit');
+
+    assert.equal(plan.due_now, 1300);
+    assert.equal(plan.balance, 700);
+});
+
+test('full payment of a large order is split into M-Pesa pushes', () => {
+    const plan = getPaymentPlan([], 600000, 'full');
+
+    assert.equal(plan.due_now, 600000);
+    assert.equal(plan.balance, 0);
+    assert.deepEqual(plan.instalments, [200000, 200000, 200000]);
+});
+
+test('credit period is read from supplier terms', () => {
+    assert.equal(getCreditTermDays('Net 60'), 60);
+    assert.equal(getCreditTermDays('30 Days'), 30);
+    assert.equal(getCreditTermDays('30% deposit, balance before shipment'), null);
+});
+
+test('a cart is due by its shortest credit period, 30 days by default', () => {
+    assert.equal(getCartCreditTermDays([{ payment_terms: 'Net 60' }, { payment_terms: '45 days' }]), 45);
+    assert.equal(getCartCreditTermDays([{ payment_terms: 'Net 60' }, { payment_terms: 'Payment with order' }]), 30);
+    assert.equal(getCartCreditTermDays([]), 30);
+});
+
+test('credit plans take nothing now and the full total by the due date', () => {
+    const plan = getPaymentPlan([{ payment_terms: 'Net 60' }], 1000, 'credit');
+    const dueDate = new Date();
+    dueDate.setDate(dueDate.getDate() + 60);
+
+    assert.equal(plan.due_now, 0);
+    assert.equal(plan.balance, 1000);
+    assert.deepEqual(plan.instalments, []);
+    assert.equal(plan.term_days, 60);
+    assert.equal(plan.due_date, dueDate.toISOString().slice(0, 10));
+});
\ No newline at end of file
@@ -0,0 +1,66 @@
+// ========================================
+// PRODUCT SEARCH - unit tests
+// ========================================
+// Run with: node --test tests/
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    tokenMatchesTerm,
+    createSearchEntry,
+    rankSearchEntries
+} = require('../js/product-search.js');
+
+const BACKPACK = {
+    product_id: 'P001',
+    product_name: 'Travel Backpack 40L',
+    supplier_name: 'Guangzhou Bags Co',
+    sku: 'BAG-40L',
+    category: 'bags'
+};
+
+const PHONE = {
+    product_id: 'P002',
+    product_name: 'Samsung Galaxy A15',
+    supplier_name: 'Shenzhen Mobile Ltd',
+    sku: 'SAM-A15',
+    category: 'electronics'
+};
+
+const CASE = {
+    product_id: 'P003',
+    product_name: 'Phone Case for Samsung A15',
+    supplier_name: 'Shenzhen Mobile Ltd',
+    sku: 'CASE-A15',
+    category: 'electronics'
+};
+
+const ENTRIES = [BACKPACK, PHONE, CASE].map(createSearchEntry);
+
+test('typo queries still match', () => {
+    assert.ok(rankSearchEntries(ENTRIES, 'backpak').has(BACKPACK));
+    assert.ok(rankSearchEntries(ENTRIES, 'samsng').has(PHONE));
+});
+
+test('unrelated queries match nothing', () => {
+    assert.equal(rankSearchEntries(ENTRIES, 'umbrella').size, 0);
+});
+
+test('every search term must match', () => {
+    const results = rankSearchEntries(ENTRIES, 'samsung case');
+
+    assert.deepEqual([...results.keys()], [CASE]);
+});
+
+test('exact SKU hits rank first', () => {
+    const results = rankSearchEntries(ENTRIES, 'sam-a15');
+    const ranked = [...results.entries()].sort((a, b) => b[1] - a[1]).map(([product]) => product);
+
+    assert.equal(ranked[0], PHONE);
+});
+
+test('short terms must match exactly', () => {
+    assert.equal(tokenMatchesTerm('bag', 'bog'), false);
+    assert.equal(tokenMatchesTerm('bags', 'bag'), true);
+});
\ No newline at end of file